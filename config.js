@@ -37,5 +37,98 @@ export default {
       clicks: 4,
       viewableImpressions: 5
     }
+  },
+  devices: {
+    // byDevices buckets (generate:vision --device-buckets): canonical device name from the
+    // provider adapter -> bucket; devices not listed keep their own name.
+    buckets: 'merged',
+    tables: {
+      merged: { Tablet: 'Mobile', 'Smart Phone': 'Mobile' },
+      granular: {}
+    },
+    // Buckets under minPct % of impressions are moved into the largest bucket when rollUp
+    // is true (--no-device-rollup keeps them).
+    minPct: 1.0,
+    rollUp: true
+  },
+  engagements: {
+    // analytic_engagements = Σ weight × value over these terms (per day and totals);
+    // analytic_engagementsPercent = engagements ÷ impressions (0–100, 4 decimals).
+    // A term is a unique.csv column: either a canonical name (clicks, viewableImpressions,
+    // videoStarts, videoViews25/50/75/100) or any other header label, matched by name when
+    // present in the export (custom interaction columns). Use { column, weight } to weight it.
+    terms: ['clicks', 'videoViews100', 'interactions']
+  },
+  keyProperties: {
+    // generate:vision keeps the top N App/URL rows by impressions and sums the rest into
+    // an "Other" row (0 = keep all; --top-properties overrides)
+    topN: 25,
+    // `appId,name` lines: store bundle / numeric IDs and the app names they stand for
+    // (utils/properties.js); optional
+    appsFile: './dictionary/apps.csv'
+  },
+  naming: {
+    // Insertion Order naming convention (utils/naming.js): {name} one '_'-free token,
+    // {name*} several tokens, {name:regex} a token matching regex. `productId` defines the
+    // product; the other fields are listed per IO in the vision `entities`.
+    // Alternatively `pattern`: a regex with named groups (wins over template).
+    template: '{productId}_{market}_{objective}_{advertiser}_{campaign*}_{flight:\\d{4}_[A-Za-z]{3}}' +
+      '_{buyType}_{format}_{device}_{vertical}_{audience*}_{version:V\\d+}'
+  },
+  // dates: {
+  //   // Non-ISO date formats of the exports; overrides the provider's dateFormats
+  //   // (utils/dates.js). ISO YYYY-MM-DD / YYYY/MM/DD is always accepted.
+  //   formats: ['DD/MM/YYYY']
+  // },
+  ages: {
+    // Lower bounds of the age bins (utils/ages.js): '-18', '18-24', ..., '55-64', '+65'.
+    // e.g. [13, 18, 25, 35, 50] for '13-17', ..., '35-49', '+50'
+    edges: [18, 25, 35, 45, 55, 65],
+    // How infer:ageGender spreads broad ranges ('21+', '-21') over the bins:
+    // 'uniform' | 'population' (weights from populationFile) | 'proportional' (the IO's own
+    // distribution across its closed ranges)
+    strategy: 'uniform',
+    // `age,weight` lines; age is a year, a band ('35-39') or open ('85+'). The shipped table
+    // holds approximate US 2020 bands.
+    populationFile: './dictionary/age_population.csv'
+  },
+  quality: {
+    // quality:summary fails when any source loses more than this % of its impressions
+    maxLossPct: 5,
+    // line numbers kept per skip reason in intermediate/quality.*.json
+    sampleLines: 5
+  },
+  vision: {
+    // generate:vision adds byDevicesPerDay / demoPerDay without --per-day when true
+    perDayBreakdowns: false,
+    // generate:vision adds gender_other, gender_unknown, identifiedShare, age_unknown and
+    // ageIdentifiedShare to demo without --unknown-shares when true
+    unknownShares: false,
+    // generate:vision reads its five sources concurrently in worker threads (--no-parallel)
+    parallel: true,
+    // generate:vision aggregation budget in MB (an estimate, not a heap limit); the largest
+    // product partitions spill to a temporary directory past it (--max-memory). 0 = no limit
+    maxMemoryMb: 0
+  },
+  diff: {
+    // diff:vision tolerances: relative change of totals / perDay metrics (%), and change of
+    // byDevices / demo / audience_distribution shares (percentage points)
+    metricPct: 0.5,
+    sharePts: 0.5
+  },
+  serve: {
+    // serve:vision (local API over processed/)
+    host: '127.0.0.1',
+    port: 8080
+  },
+  pipeline: {
+    // pipeline --watch: milliseconds without file changes before the affected stages re-run
+    watchDebounceMs: 1000
+  },
+  reconcile: {
+    // validate:reconcile: allowed impression/click spread across raw files, % of the largest
+    tolerancePct: 0.5,
+    // generate:vision attaches dataCoverage per product by default when true
+    coverage: false
   }
 }
@@ -0,0 +1,199 @@
+// tasks/buildDictionary.js
+// Regenerate ./dictionary/tier{N}_iab_mapping_top{K}[_unique].jsonl from
+//   - dictionary/taxonomy.tsv                 (IAB Content Taxonomy: Unique ID, Parent, Name, Tier 1..4)
+//   - intermediate/categories.tier{N}.jsonl   (source categories, see extract:categories)
+//
+// Params:
+//   --tiers [1|2|3|4] (default 1)      // source tier file to map (from applyCommonArgs)
+//   --top <int> (default 10)           // candidates kept per source category
+//   --unique (default false)           // keep only the best candidate per IAB name (writes *_unique.jsonl)
+//   --minscore <float 0..1> (default 0) // drop candidates scoring below this
+//   --against [tier|name] (default 'tier')
+//       tier: compare the source leaf with each IAB node's "Tier {N}" label (same depth)
+//       name: compare the source leaf with each IAB node's own Name (any depth)
+//
+// Similarity: token Jaccard over lower-cased alphanumeric tokens
+//   ("Books & Literature" vs "Books and Literature" -> 2/3).
+// Ordering is deterministic: source categories by path; candidates by score desc, then
+// taxonomy file order.
+//
+// Output JSONL records:
+//   { tier1, ..., tierN, iab: [{ id, name, score, tier }] }   // tier = IAB depth of `id`
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import config from '../config.js';
+import { fileExistsSync, safeWriteLinesAtomicSync } from '../utils/fs.js';
+import { applyCommonArgs } from '../utils/argumentos.js';
+
+const argv = applyCommonArgs(
+  yargs(hideBin(process.argv))
+    .option('top', {
+      type: 'number',
+      default: 10,
+      describe: 'Number of IAB candidates kept per source category'
+    })
+    .option('unique', {
+      type: 'boolean',
+      default: false,
+      describe: 'De-duplicate candidates by IAB name (keeps the best id per name)'
+    })
+    .option('minscore', {
+      type: 'number',
+      default: 0,
+      describe: 'Minimum Jaccard score to keep a candidate (0..1)'
+    })
+    .option('against', {
+      type: 'string',
+      default: 'tier',
+      choices: ['tier', 'name'],
+      describe: 'IAB label to compare with: same-depth tier label or node name'
+    })
+)
+  .check((args) => {
+    if (!(Number.isInteger(args.top) && args.top > 0)) {
+      throw new Error('top must be a positive integer');
+    }
+    if (!(args.minscore >= 0 && args.minscore <= 1)) {
+      throw new Error('minscore must be between 0 and 1');
+    }
+    return true;
+  })
+  .strict()
+  .argv;
+
+const DICT_DIR = config.paths?.dictionary ?? './dictionary';
+const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
+const ENCODING = config.csv?.encoding ?? 'utf8';
+
+const TAXONOMY = path.join(DICT_DIR, 'taxonomy.tsv');
+const SOURCE = path.join(INTERMEDIATE_DIR, `categories.tier${argv.tiers}.jsonl`);
+const OUT = path.join(
+  DICT_DIR,
+  `tier${argv.tiers}_iab_mapping_top${argv.top}${argv.unique ? '_unique' : ''}.jsonl`
+);
+
+// --- helpers ---
+function tokens(s) {
+  return new Set(String(s ?? '').toLowerCase().match(/[a-z0-9]+/g) ?? []);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter += 1;
+  return inter / (a.size + b.size - inter);
+}
+
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : 0;
+}
+
+// Load taxonomy rows in file order: [{ id, name, tiers: [t1..t4], depth }]
+function loadTaxonomy(file) {
+  const lines = fs.readFileSync(file, ENCODING).split(/\r?\n/);
+  const headers = (lines.shift() ?? '').replace(/^﻿/, '').split('\t').map(h => h.trim().toLowerCase());
+  const col = (name, fallback) => {
+    const i = headers.indexOf(name);
+    return i >= 0 ? i : fallback;
+  };
+  const idx = {
+    id: col('unique id', 0),
+    name: col('name', 2),
+    tiers: [col('tier 1', 3), col('tier 2', 4), col('tier 3', 5), col('tier 4', 6)]
+  };
+
+  const rows = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const cells = line.split('\t');
+    const id = String(cells[idx.id] ?? '').trim();
+    if (!id) continue;
+    const tiers = idx.tiers.map(i => String(cells[i] ?? '').trim());
+    const depth = tiers.filter(Boolean).length;
+    rows.push({ id, name: String(cells[idx.name] ?? '').trim(), tiers, depth });
+  }
+  return rows;
+}
+
+// Load source categories, de-duplicated by path: [[tier1, ..., tierN], ...]
+function loadSource(file, depth) {
+  const seen = new Map();
+  for (const line of fs.readFileSync(file, ENCODING).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let obj;
+    try { obj = JSON.parse(line); } catch { continue; }
+    const parts = [];
+    for (let t = 1; t <= depth; t++) parts.push(String(obj[`tier${t}`] ?? '').trim());
+    if (parts.some(p => !p)) continue;
+    seen.set(parts.join('\u0001'), parts);
+  }
+  return [...seen.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, parts]) => parts);
+}
+
+// Candidate labels per taxonomy row for the chosen comparison.
+function buildLabels(rows, depth, against) {
+  const labels = [];
+  rows.forEach((row, order) => {
+    const label = against === 'name' ? row.name : row.tiers[depth - 1];
+    if (!label) return;
+    labels.push({ id: row.id, name: label, tier: row.depth, order, tokens: tokens(label) });
+  });
+  return labels;
+}
+
+function topCandidates(leaf, labels) {
+  const leafTokens = tokens(leaf);
+  const scored = labels.map(l => ({ ...l, score: round4(jaccard(leafTokens, l.tokens)) }))
+    .filter(c => c.score >= argv.minscore)
+    .sort((a, b) => (b.score - a.score) || (a.order - b.order));
+
+  const out = [];
+  const names = new Set();
+  for (const c of scored) {
+    if (argv.unique) {
+      const key = c.name.toLowerCase();
+      if (names.has(key)) continue;
+      names.add(key);
+    }
+    out.push({ id: c.id, name: c.name, score: c.score, tier: c.tier });
+    if (out.length >= argv.top) break;
+  }
+  return out;
+}
+
+// --- main ---
+async function main() {
+  if (!fileExistsSync(TAXONOMY)) {
+    console.error(`Missing taxonomy file: ${TAXONOMY}`);
+    process.exit(1);
+  }
+  if (!fileExistsSync(SOURCE)) {
+    console.error(`Missing source categories: ${SOURCE} (run extract:categories -- --tiers ${argv.tiers})`);
+    process.exit(1);
+  }
+
+  const taxonomy = loadTaxonomy(TAXONOMY);
+  const labels = buildLabels(taxonomy, argv.tiers, argv.against);
+  const sources = loadSource(SOURCE, argv.tiers);
+
+  const lines = [];
+  for (const parts of sources) {
+    const rec = {};
+    parts.forEach((p, i) => { rec[`tier${i + 1}`] = p; });
+    rec.iab = topCandidates(parts[parts.length - 1], labels);
+    lines.push(JSON.stringify(rec));
+  }
+
+  safeWriteLinesAtomicSync(OUT, lines);
+  console.log(`Wrote ${lines.length} mappings to ${OUT} (${taxonomy.length} taxonomy nodes, against=${argv.against})`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+// tasks/diffVision.js
+// Compare two vision files, or two processed directories (files paired by name), and report
+// what moved (utils/visionDiff.js): totals metric deltas, perDay rows added / removed /
+// changed, byDevices and demo share shifts, and IAB categories that entered or left
+// audience_distribution.
+// Params:
+//   <before> <after>  // two *.vision.json files or two directories of them
+//   --tolerance-pct <pct> (default config.diff.metricPct ?? 0.5)  // totals / perDay, relative %
+//   --tolerance-pts <pts> (default config.diff.sharePts ?? 0.5)   // shares, percentage points
+//   --json (default false)  // print the full result as JSON
+// Two files holding one product each are compared even when their productIds differ (two
+// versions of a product); otherwise products are paired by productId.
+// Exit code 1 when any difference exceeds the tolerances (products, files, days, devices or
+// categories only on one side always do).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { listVisionFiles, readVision } from '../utils/vision.js';
+import { diffProduct, DEFAULT_TOLERANCES } from '../utils/visionDiff.js';
+
+// `pnpm run diff:vision -- a b` forwards the '--', which would hide the positionals from yargs
+const argv = yargs(hideBin(process.argv).filter(arg => arg !== '--'))
+  .command('$0 <before> <after>', 'Compare two vision files or two processed directories', (y) => y
+    .positional('before', { type: 'string', describe: 'Vision file or directory (old)' })
+    .positional('after', { type: 'string', describe: 'Vision file or directory (new)' }))
+  .option('tolerance-pct', {
+    type: 'number',
+    default: DEFAULT_TOLERANCES.metricPct,
+    describe: 'Allowed relative change of totals / perDay metrics, in %'
+  })
+  .option('tolerance-pts', {
+    type: 'number',
+    default: DEFAULT_TOLERANCES.sharePts,
+    describe: 'Allowed change of device / demo / audience shares, in percentage points'
+  })
+  .option('json', {
+    type: 'boolean',
+    default: false,
+    describe: 'Print the result as JSON'
+  })
+  .check((args) => {
+    if (!(args.tolerancePct >= 0) || !(args.tolerancePts >= 0)) throw new Error('tolerances must be >= 0');
+    return true;
+  })
+  .strict()
+  .argv;
+
+const BEFORE = argv.before;
+const AFTER = argv.after;
+const TOLERANCES = { metricPct: argv.tolerancePct, sharePts: argv.tolerancePts };
+
+function kindOf(p) {
+  if (!fs.existsSync(p)) {
+    console.error(`Not found: ${p}`);
+    process.exit(1);
+  }
+  return fs.statSync(p).isDirectory() ? 'dir' : 'file';
+}
+
+// [{ before: file|null, after: file|null }]
+function filePairs() {
+  const kinds = [kindOf(BEFORE), kindOf(AFTER)];
+  if (kinds[0] !== kinds[1]) {
+    console.error('Compare two files or two directories, not one of each.');
+    process.exit(1);
+  }
+  if (kinds[0] === 'file') return [{ before: BEFORE, after: AFTER }];
+
+  const byName = (dir) => new Map(listVisionFiles(dir).map(f => [path.basename(f), f]));
+  const a = byName(BEFORE);
+  const b = byName(AFTER);
+  return [...new Set([...a.keys(), ...b.keys()])].sort()
+    .map(name => ({ before: a.get(name) ?? null, after: b.get(name) ?? null }));
+}
+
+// [{ productId, before: product|null, after: product|null }]
+function productPairs(beforeFile, afterFile) {
+  const a = beforeFile ? readVision(beforeFile).products : [];
+  const b = afterFile ? readVision(afterFile).products : [];
+  if (a.length === 1 && b.length === 1) {
+    const id = a[0].productId === b[0].productId ? a[0].productId : `${a[0].productId} -> ${b[0].productId}`;
+    return [{ productId: id, before: a[0].product, after: b[0].product }];
+  }
+  const before = new Map(a.map(p => [p.productId, p.product]));
+  const after = new Map(b.map(p => [p.productId, p.product]));
+  return [...new Set([...before.keys(), ...after.keys()])].sort()
+    .map(productId => ({ productId, before: before.get(productId) ?? null, after: after.get(productId) ?? null }));
+}
+
+function signed(x, unit = '') {
+  return `${x > 0 ? '+' : ''}${x}${unit}`;
+}
+
+function printProduct(r) {
+  console.log(`${r.exceeded ? 'DIFF' : 'ok  '} ${r.productId} (${r.before ?? '-'} -> ${r.after ?? '-'})`);
+  if (r.only) {
+    console.log(`  only in ${r.only}`);
+    return;
+  }
+  const mark = (x) => (x.exceeded ? '!' : ' ');
+  const { diff } = r;
+  for (const m of diff.totals) {
+    const change = m.delta != null ? ` (${signed(m.delta)}${m.deltaPct != null ? `, ${signed(m.deltaPct, '%')}` : ''})` : '';
+    console.log(` ${mark(m)} totals.${m.key}: ${m.before} -> ${m.after}${change}`);
+  }
+  if (diff.perDay.added.length) console.log(` ! perDay added: ${diff.perDay.added.join(', ')}`);
+  if (diff.perDay.removed.length) console.log(` ! perDay removed: ${diff.perDay.removed.join(', ')}`);
+  for (const d of diff.perDay.changed) {
+    const metrics = d.metrics.map(m => `${m.key} ${m.deltaPct != null ? signed(m.deltaPct, '%') : `${m.before} -> ${m.after}`}`);
+    console.log(` ${mark(d)} perDay ${d.date}: ${metrics.join(', ')}`);
+  }
+  for (const [label, s] of [['byDevices', diff.byDevices], ['demo', diff.demo]]) {
+    if (s.added.length) console.log(` ! ${label} added: ${s.added.join(', ')}`);
+    if (s.removed.length) console.log(` ! ${label} removed: ${s.removed.join(', ')}`);
+    for (const x of s.shifts) console.log(` ${mark(x)} ${label}.${x.key}: ${x.before} -> ${x.after} (${signed(x.deltaPts, ' pts')})`);
+  }
+  const cat = (c) => `${c.id}${c.name ? ` ${c.name}` : ''}`;
+  if (diff.audience.entered.length) console.log(` ! audience_distribution entered: ${diff.audience.entered.map(cat).join(', ')}`);
+  if (diff.audience.left.length) console.log(` ! audience_distribution left: ${diff.audience.left.map(cat).join(', ')}`);
+  for (const x of diff.audience.shifts) {
+    console.log(` ${mark(x)} audience_distribution ${cat({ id: x.key, name: x.name })}: ${x.before} -> ${x.after} (${signed(x.deltaPts, ' pts')})`);
+  }
+}
+
+function main() {
+  const results = [];
+  for (const { before, after } of filePairs()) {
+    for (const pair of productPairs(before, after)) {
+      const base = { productId: pair.productId, before, after };
+      if (!pair.before || !pair.after) {
+        results.push({ ...base, only: pair.before ? 'before' : 'after', exceeded: true });
+        continue;
+      }
+      const diff = diffProduct(pair.before, pair.after, TOLERANCES);
+      results.push({ ...base, exceeded: diff.exceeded, diff });
+    }
+  }
+
+  const exceeded = results.filter(r => r.exceeded);
+  if (argv.json) {
+    console.log(JSON.stringify({ tolerances: TOLERANCES, exceeded: exceeded.length, products: results }, null, 2));
+  } else {
+    for (const r of results) printProduct(r);
+    console.log(`\n${exceeded.length} of ${results.length} product(s) differ beyond ` +
+      `${TOLERANCES.metricPct}% / ${TOLERANCES.sharePts} pts.`);
+  }
+
+  if (exceeded.length > 0) process.exit(1);
+}
+
+main();
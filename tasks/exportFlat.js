@@ -0,0 +1,166 @@
+// tasks/exportFlat.js
+// Flatten processed visions into tidy long-format files for spreadsheets / BI tools:
+// one file per section, one row per record, productId and kind on every row.
+// Roll-up visions (generate:vision --group-by) repeat their members' numbers, so they are
+// left out unless --rollups; then they carry their roll-up id and kind 'rollup', and sums
+// over the export must filter on kind.
+// Params:
+//   --format [csv|ndjson] (default 'csv')
+//   --in <dir>  (default config.paths.processed ?? './processed')  // *.vision.json
+//   --out <dir> (default <processed>/flat)
+//   --sections <name...> (default all)
+//   --rollups (default false)  // also export roll-up visions
+// Output (per section, <out>/<section>.<csv|ndjson>), every row starting productId, kind:
+//   totals                             productId, analytic_* totals
+//   perDay                             productId, analytic_date, analytic_* metrics
+//   byDevices                          productId, device, analytic_impressionsPercent, ...
+//   byDevicesPerDay                    productId, analytic_date, device, ...        (--per-day visions)
+//   demo                               productId, metric, value
+//   demoPerDay                         productId, analytic_date, metric, value     (--per-day visions)
+//   keyProperties                      productId, placement_domain, type, appId, ...
+//   contentTaxonomy.audience_distribution / .campaign_delivery / .campaign_interactions
+//                                      productId, [date,] id, name, tier, value, percent
+// Columns: the known ones in a fixed order (empty / null when absent), then any other field
+// found, sorted by name.
+// Every selected section is written, header only when no product has rows for it.
+
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { safeWriteLinesAtomicSync } from '../utils/fs.js';
+import { readVisions, PROCESSED_DIR } from '../utils/vision.js';
+
+const METRICS = [
+  'analytic_impressions', 'analytic_clicks', 'analytic_ctr', 'analytic_viewability',
+  'analytic_uniqueUsers', 'analytic_uniqueUsersBasis', 'analytic_frequency',
+  'analytic_views', 'analytic_views25', 'analytic_views50', 'analytic_views75', 'analytic_vtr',
+  'analytic_engagements', 'analytic_engagementsPercent'
+];
+const DEVICE_KPIS = [
+  'analytic_impressionsPercent', 'analytic_impressions', 'analytic_clicks', 'analytic_ctr', 'analytic_viewability'
+];
+const TAXONOMY_COLUMNS = ['id', 'name', 'tier', 'value', 'percent'];
+
+// byDevices values are KPI objects; visions written before that carry the share only.
+function deviceRows(byDevices) {
+  return Object.entries(byDevices ?? {}).map(([device, v]) =>
+    ({ device, ...(typeof v === 'number' ? { analytic_impressionsPercent: v } : v) }));
+}
+
+function metricRows(obj) {
+  return Object.entries(obj ?? {}).map(([metric, value]) => ({ metric, value }));
+}
+
+function perDate(list, expand) {
+  return (list ?? []).flatMap(({ analytic_date, ...rest }) => expand(rest).map(r => ({ analytic_date, ...r })));
+}
+
+// section -> { columns (after productId), rows(product) }
+const SECTIONS = {
+  totals: { columns: METRICS, rows: p => (p.totals && Object.keys(p.totals).length ? [p.totals] : []) },
+  perDay: { columns: ['analytic_date', ...METRICS], rows: p => p.perDay ?? [] },
+  byDevices: { columns: ['device', ...DEVICE_KPIS], rows: p => deviceRows(p.byDevices) },
+  byDevicesPerDay: { columns: ['analytic_date', 'device', ...DEVICE_KPIS], rows: p => perDate(p.byDevicesPerDay, deviceRows) },
+  demo: { columns: ['metric', 'value'], rows: p => metricRows(p.demo) },
+  demoPerDay: { columns: ['analytic_date', 'metric', 'value'], rows: p => perDate(p.demoPerDay, metricRows) },
+  keyProperties: {
+    columns: ['placement_domain', 'type', 'appId', 'impressions', 'clicks', 'viewability', 'ctr', 'viewabilityRate', 'properties'],
+    rows: p => p.keyProperties ?? []
+  },
+  'contentTaxonomy.audience_distribution': {
+    columns: TAXONOMY_COLUMNS,
+    rows: p => p.contentTaxonomy?.audience_distribution ?? []
+  },
+  'contentTaxonomy.campaign_delivery': {
+    columns: ['date', ...TAXONOMY_COLUMNS],
+    rows: p => p.contentTaxonomy?.campaign_delivery ?? []
+  },
+  'contentTaxonomy.campaign_interactions': {
+    columns: ['date', ...TAXONOMY_COLUMNS],
+    rows: p => p.contentTaxonomy?.campaign_interactions ?? []
+  }
+};
+
+const argv = yargs(hideBin(process.argv))
+  .option('format', {
+    type: 'string',
+    choices: ['csv', 'ndjson'],
+    default: 'csv',
+    describe: 'Output format'
+  })
+  .option('in', {
+    type: 'string',
+    default: PROCESSED_DIR,
+    describe: 'Directory with the *.vision.json files'
+  })
+  .option('out', {
+    type: 'string',
+    describe: 'Output directory (default <in>/flat)'
+  })
+  .option('rollups', {
+    type: 'boolean',
+    default: false,
+    describe: "Also export roll-up visions (kind 'rollup'; they repeat their members' numbers)"
+  })
+  .option('sections', {
+    type: 'array',
+    string: true,
+    choices: Object.keys(SECTIONS),
+    default: Object.keys(SECTIONS),
+    describe: 'Sections to export'
+  })
+  .strict()
+  .argv;
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Known columns always (empty when absent), then the others sorted.
+function columnsFor(known, rows) {
+  const seen = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) seen.add(k);
+  const extra = [...seen].filter(k => k !== 'productId' && k !== 'kind' && !known.includes(k)).sort();
+  return ['productId', 'kind', ...known, ...extra];
+}
+
+// Roll-up visions carry data.meta.groupBy and the members they sum.
+function isRollup(meta, product) {
+  return Boolean(meta?.groupBy || product.members);
+}
+
+function main() {
+  const visions = readVisions(argv.in);
+  if (visions.length === 0) {
+    console.error(`No *.vision.json files in ${argv.in}. Run generate:vision first.`);
+    process.exit(1);
+  }
+  const outDir = argv.out ?? path.join(argv.in, 'flat');
+  const skipped = visions.filter(({ meta, products }) => products.some(({ product }) => isRollup(meta, product))).length;
+  if (skipped && !argv.rollups) console.log(`Skipping ${skipped} roll-up vision(s) (--rollups includes them).`);
+
+  for (const name of argv.sections) {
+    const section = SECTIONS[name];
+    const rows = [];
+    for (const { meta, products } of visions) {
+      for (const { productId, product } of products) {
+        const kind = isRollup(meta, product) ? 'rollup' : 'product';
+        if (kind === 'rollup' && !argv.rollups) continue;
+        for (const r of section.rows(product)) rows.push({ productId, kind, ...r });
+      }
+    }
+
+    const columns = columnsFor(section.columns, rows);
+    const lines = argv.format === 'csv'
+      ? [columns.join(','), ...rows.map(r => columns.map(c => csvCell(r[c])).join(','))]
+      : rows.map(r => JSON.stringify(Object.fromEntries(columns.map(c => [c, r[c] ?? null]))));
+
+    const file = path.join(outDir, `${name}.${argv.format}`);
+    safeWriteLinesAtomicSync(file, lines);
+    console.log(`Wrote ${rows.length} rows to ${file}`);
+  }
+}
+
+main();
@@ -3,33 +3,38 @@
 // Params (via yargs):
 //   --tiers [1|2|3|4] (default 1)
 //   --provider [dv|ttd|zed] (default 'dv')
-//   --splitval (default '/'; any single char)
+//   --splitval (default: provider separator, '/' for dv; any single char)
+//   --from / --to / --io / --product  // row filters (utils/filters.js), recorded in
+//                                     // categories.tierN.jsonl.meta.json
 // Notes:
-//   - If provider === 'dv', remove the FIRST occurrence of splitval before splitting.
+//   - Category paths are split by the provider adapter (dv removes the FIRST occurrence
+//     of splitval before splitting).
 //   - Deduplicate unique tier combinations.
 //   - Validate file and directories exist/are created.
 
-import fs from 'node:fs';
-import readline from 'node:readline';
 import path from 'node:path';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import config from '../config.js';
 import { ensureDirSync, fileExistsSync, safeWriteLinesAtomicSync } from '../utils/fs.js';
-import { applyCommonArgs } from '../utils/argumentos.js';
+import { applyCommonArgs, applyFilterArgs } from '../utils/argumentos.js';
+import { readCsvRows, SCHEMAS, isIoLevelDate } from '../utils/csv.js';
+import { createDateParser } from '../utils/dates.js';
+import { createRowFilter, writeFilterMeta } from '../utils/filters.js';
+import { getProvider } from '../utils/providers/index.js';
+import { createQualityReport } from '../utils/quality.js';
 
 // ...
 
-const argv = applyCommonArgs(
+const argv = applyFilterArgs(applyCommonArgs(
   yargs(hideBin(process.argv))
     .option('splitval', {
       type: 'string',
-      default: '/',
-      describe: 'Single character used as category separator'
+      describe: 'Single character used as category separator (default: provider separator)'
     })
-)
+))
   .check((args) => {
-    if (!args.splitval || args.splitval.length !== 1) {
+    if (args.splitval != null && args.splitval.length !== 1) {
       throw new Error('splitval must be a single character');
     }
     return true;
@@ -40,77 +45,15 @@ const RAW_DIR = config.paths?.raw ?? './rawData';
 const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
 const INPUT = path.join(RAW_DIR, 'categories.csv');
 const OUT = path.join(INTERMEDIATE_DIR, `categories.tier${argv.tiers}.jsonl`);
-const DELIM = config.csv?.delimiter ?? ',';
-const ENCODING = config.csv?.encoding ?? 'utf8';
-
-// Resolve category column index
-function resolveCategoryIndex(headerLine) {
-  // 1) Prefer explicit mapping from config
-  const mapped = config.mapping?.categories?.category;
-  if (Number.isInteger(mapped)) return mapped;
-
-  // 2) Try auto-detect by header tokens (for when headers exist)
-  if (headerLine) {
-    const headers = splitCSV(headerLine, DELIM);
-    const idx = headers.findIndex(h =>
-      String(h).toLowerCase().trim() === 'category'
-    );
-    if (idx >= 0) return idx;
-  }
-
-  // 3) Fallback to 2 (third column), matching your intended schema
-  return 2;
-}
-
-// Very minimal CSV splitter (native-first). Handles simple CSV; if you later hit
-// quoting/escaping edge-cases, we can swap this to `csv-parse`.
-function splitCSV(line, delimiter) {
-  // Fast path: no quotes
-  if (!line.includes('"')) return line.split(delimiter);
-
-  // Simple quote-aware parser (still not exhaustive for all CSV edge-cases)
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') { // escaped quote
-        cur += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (ch === delimiter && !inQuotes) {
-      out.push(cur);
-      cur = '';
-      continue;
-    }
-
-    cur += ch;
-  }
-  out.push(cur);
-  return out;
-}
-
-function normalizePart(s) {
-  return String(s ?? '').trim();
-}
-
-function preprocessForProvider(raw, provider, splitChar) {
-  if (provider === 'dv') {
-    // remove the FIRST occurrence of the split char before splitting
-    const idx = raw.indexOf(splitChar);
-    if (idx >= 0) {
-      return raw.slice(0, idx) + raw.slice(idx + 1);
-    }
-  }
-  return raw;
+const PROVIDER = getProvider(argv.provider);
+const SPLIT = argv.splitval ?? PROVIDER.categorySeparator;
+const FILTER = createRowFilter(argv);
+const parseDate = createDateParser({ provider: PROVIDER });
+
+function selected(row) {
+  if (!FILTER.matchesIo(row.insertionOrder)) return false;
+  if (!FILTER.hasDateRange) return true;
+  return !isIoLevelDate(row.date) && FILTER.matchesDate(parseDate(row.date, `${INPUT}:${row.lineNo}`));
 }
 
 async function main() {
@@ -121,65 +64,29 @@ async function main() {
 
   ensureDirSync(INTERMEDIATE_DIR);
 
-  const stream = fs.createReadStream(INPUT, ENCODING);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-  let lineNo = 0;
-  let categoryIdx = null;
-
   const uniq = new Set();
+  const quality = createQualityReport('extract:categories', { filter: FILTER });
+  const q = quality.source('categories.csv');
 
-  for await (const rawLine of rl) {
-    const line = rawLine ?? '';
-  // NEW: stop on DV footer
-    if (argv.provider === 'dv') {
-        const startsFooter = /^\s*Report Time\b/i.test(line);
-        if (startsFooter) {
-        console.log('Detected DV summary footer; stopping further processing.');
-        break;
-        }
-    }
-    lineNo += 1;
-    if (!line) continue;
-
-    const cols = splitCSV(line, DELIM);
-
-    // Detect header on first line if category index unresolved
-    if (lineNo === 1 && categoryIdx === null) {
-      categoryIdx = resolveCategoryIndex(line);
-      // If first line looks like header (i.e., the value at categoryIdx equals 'Category'),
-      // skip it for data rows.
-      const maybeHeader = splitCSV(line, DELIM)[categoryIdx];
-      if (String(maybeHeader).toLowerCase().trim() === 'category') {
-        // move to next line; categoryIdx is set
-        continue;
-      }
-    }
+  for await (const row of readCsvRows(INPUT, { schema: SCHEMAS.categories, provider: PROVIDER })) {
+    if (FILTER.active && !selected(row)) continue;
+    const rawCategory = row.category;
+    if (!rawCategory) { q.skip('missing_category', row.lineNo, row.impressions); continue; }
 
-    if (categoryIdx === null) {
-      // If we still couldn't resolve, assume default column 2
-      categoryIdx = 2;
-    }
-
-    const rawCategory = cols[categoryIdx];
-    if (rawCategory == null) continue;
-
-    const preprocessed = preprocessForProvider(String(rawCategory), argv.provider, argv.splitval);
-    const parts = preprocessed
-      .split(argv.splitval)
-      .map(normalizePart)
-      .filter(Boolean);
+    const parts = PROVIDER.splitCategory(rawCategory, SPLIT);
     if (parts.length < argv.tiers) {
-    continue;
+      q.skip('insufficient_depth', row.lineNo, row.impressions);
+      continue;
     }
     const tiers = parts.slice(0, argv.tiers);
-    if (tiers.length === 0) continue;
+    q.keep(row.impressions);
 
     // Build key for dedupe
     const key = tiers.join('\u0001');
     if (uniq.has(key)) continue;
     uniq.add(key);
   }
+  parseDate.finish();
 
   // Write JSONL
   const lines = [];
@@ -194,6 +101,9 @@ async function main() {
 
   safeWriteLinesAtomicSync(OUT, lines);
   console.log(`Wrote ${lines.length} unique categories to ${OUT}`);
+  const meta = writeFilterMeta(OUT, FILTER);
+  if (meta) console.log(`Wrote ${meta}`);
+  console.log(`Wrote ${quality.write()}`);
 }
 
 // Run
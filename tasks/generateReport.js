@@ -0,0 +1,256 @@
+// tasks/generateReport.js
+// Render each processed vision into a standalone HTML report (inline CSS and SVG charts, no
+// scripts or external resources) that can be opened offline or emailed.
+// Params:
+//   --in <dir>  (default config.paths.processed ?? './processed')  // *.vision.json
+//   --out <dir> (default <processed>/reports)
+//   --product <id...>  // only these productIds (default all, roll-ups included)
+//   --top <n> (default 10)  // keyProperties rows and audience_distribution bars
+// Output:
+//   <out>/<vision file name>.html per product, e.g. processed/reports/107766.10.html
+//   (<vision file name>.<productId>.html when a file holds several products)
+// The report walks the vision sections in the order of the JSON and renders the ones it
+// knows (SECTION_RENDERERS); others are listed as not rendered, so it stays in sync with
+// what generate:vision writes.
+
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { safeWriteLinesAtomicSync } from '../utils/fs.js';
+import { readVisions, sliceProduct, PROCESSED_DIR, VISION_SUFFIX } from '../utils/vision.js';
+import { escapeHtml, formatNumber, lineChart, barChart } from '../utils/charts.js';
+
+const argv = yargs(hideBin(process.argv))
+  .option('in', {
+    type: 'string',
+    default: PROCESSED_DIR,
+    describe: 'Directory with the *.vision.json files'
+  })
+  .option('out', {
+    type: 'string',
+    describe: 'Output directory (default <in>/reports)'
+  })
+  .option('product', {
+    type: 'array',
+    string: true,
+    describe: 'Only these productIds'
+  })
+  .option('top', {
+    type: 'number',
+    default: 10,
+    describe: 'keyProperties rows and audience_distribution bars shown'
+  })
+  .check((args) => {
+    if (!(Number.isInteger(args.top) && args.top > 0)) throw new Error('top must be a positive integer');
+    return true;
+  })
+  .strict()
+  .argv;
+
+const TOTAL_TILES = [
+  ['analytic_impressions', 'Impressions', ''],
+  ['analytic_clicks', 'Clicks', ''],
+  ['analytic_ctr', 'CTR', '%'],
+  ['analytic_viewability', 'Viewability', '%'],
+  ['analytic_vtr', 'VTR', '%'],
+  ['analytic_uniqueUsers', 'Unique users', ''],
+  ['analytic_frequency', 'Frequency', ''],
+  ['analytic_engagements', 'Engagements', '']
+];
+
+const PER_DAY_CHARTS = [
+  ['analytic_impressions', 'Impressions', ''],
+  ['analytic_ctr', 'CTR', '%'],
+  ['analytic_vtr', 'VTR', '%'],
+  ['analytic_viewability', 'Viewability', '%']
+];
+
+function table(columns, rows) {
+  const head = columns.map(([, label]) => `<th>${escapeHtml(label)}</th>`).join('');
+  const body = rows.map(r => `<tr>${columns.map(([key, , unit]) => {
+    const v = r[key];
+    return `<td${typeof v === 'number' ? ' class="num"' : ''}>${typeof v === 'number' ? formatNumber(v, unit) : escapeHtml(v ?? '')}</td>`;
+  }).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function section(title, html) {
+  return `<section><h2>${escapeHtml(title)}</h2>\n${html}\n</section>`;
+}
+
+// byDevices values are KPI objects; older visions carry the share only.
+function deviceRows(byDevices) {
+  return Object.entries(byDevices ?? {}).map(([device, v]) =>
+    ({ device, ...(typeof v === 'number' ? { analytic_impressionsPercent: v } : v) }));
+}
+
+// Vision section -> HTML (null to skip). Keys follow the generate:vision output.
+const SECTION_RENDERERS = {
+  totals(totals) {
+    const tiles = TOTAL_TILES.filter(([key]) => totals[key] != null)
+      .map(([key, label, unit]) => `<div class="tile"><span>${escapeHtml(label)}</span><b>${formatNumber(totals[key], unit)}</b></div>`);
+    const basis = totals.analytic_uniqueUsersBasis
+      ? `<p class="note">Unique users basis: ${escapeHtml(totals.analytic_uniqueUsersBasis)}</p>` : '';
+    return section('Totals', `<div class="tiles">${tiles.join('')}</div>${basis}`);
+  },
+
+  perDay(perDay) {
+    if (!perDay.length) return null;
+    const charts = PER_DAY_CHARTS.map(([key, label, unit]) =>
+      lineChart(perDay.map(d => ({ x: d.analytic_date, y: d[key] })), { title: label, unit }));
+    return section('Per day', `<div class="charts">${charts.join('\n')}</div>`);
+  },
+
+  byDevices(byDevices) {
+    const rows = deviceRows(byDevices);
+    if (!rows.length) return null;
+    const chart = barChart(rows.map(r => ({ label: r.device, value: r.analytic_impressionsPercent })), { title: 'Share of impressions', unit: '%', max: 100 });
+    const kpis = table([
+      ['device', 'Device'],
+      ['analytic_impressionsPercent', 'Share', '%'],
+      ['analytic_impressions', 'Impressions'],
+      ['analytic_clicks', 'Clicks'],
+      ['analytic_ctr', 'CTR', '%'],
+      ['analytic_viewability', 'Viewability', '%']
+    ], rows);
+    return section('Devices', `<div class="charts">${chart}\n${kpis}</div>`);
+  },
+
+  demo(demo) {
+    const fields = Object.entries(demo ?? {});
+    if (!fields.length) return null;
+    const bars = (prefix) => fields.filter(([k]) => k.startsWith(prefix) && !/unknown|other/.test(k))
+      .map(([k, v]) => ({ label: k.slice(prefix.length).replace(/_/g, '-'), value: v }));
+    const charts = [
+      barChart(bars('gender_'), { title: 'Gender', unit: '%', max: 100 }),
+      barChart(bars('age_'), { title: 'Age', unit: '%', max: 100 })
+    ];
+    const extra = fields.filter(([k]) => /unknown|other|identified/i.test(k));
+    const note = extra.length
+      ? `<p class="note">${extra.map(([k, v]) => `${escapeHtml(k)}: ${formatNumber(v, '%')}`).join(' · ')}</p>` : '';
+    return section('Demographics', `<div class="charts">${charts.join('\n')}</div>${note}`);
+  },
+
+  // Titled after the rows shown: fewer than --top for small products, "Other" kept by older visions.
+  keyProperties(keyProperties) {
+    if (!keyProperties.length) return null;
+    const named = keyProperties.filter(p => p.type !== 'other').length;
+    const title = `Top ${named} key ${named === 1 ? 'property' : 'properties'}${named < keyProperties.length ? ' and the rest' : ''}`;
+    return section(title, table([
+      ['placement_domain', 'Property'],
+      ['type', 'Type'],
+      ['impressions', 'Impressions'],
+      ['clicks', 'Clicks'],
+      ['ctr', 'CTR', '%'],
+      ['viewabilityRate', 'Viewability', '%']
+    ], keyProperties));
+  },
+
+  contentTaxonomy(contentTaxonomy) {
+    const list = contentTaxonomy?.audience_distribution ?? [];
+    if (!list.length) return null;
+    const chart = barChart(list.map(c => ({ label: c.name ?? c.id, value: c.percent })), { title: 'Audience distribution (IAB)', unit: '%' });
+    return section('Content taxonomy', chart);
+  },
+
+  entities(entities) {
+    if (!entities.length) return null;
+    return section('Insertion orders', table([['insertionOrder', 'Insertion order'], ['productId', 'Product']], entities));
+  },
+
+  members(members) {
+    return section('Roll-up members', `<p>${members.map(escapeHtml).join(', ')}</p>`);
+  },
+
+  dataCoverage(coverage) {
+    const rows = Object.entries(coverage.sources ?? {}).map(([source, v]) => ({ source, ...v }));
+    return section(`Data coverage (${coverage.withinTolerance ? 'within' : 'outside'} tolerance)`, table([
+      ['source', 'Source'],
+      ['impressions', 'Impressions'],
+      ['impressionsPctOfReference', '% of reference', '%'],
+      ['clicks', 'Clicks'],
+      ['clicksPctOfReference', '% of reference', '%']
+    ], rows));
+  }
+};
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1a202c; margin: 24px auto; max-width: 1040px; padding: 0 16px; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+h2 { font-size: 16px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; margin-top: 28px; }
+.meta, .note { color: #718096; font-size: 12px; }
+.tiles { display: flex; flex-wrap: wrap; gap: 12px; }
+.tile { border: 1px solid #e2e8f0; border-radius: 6px; padding: 8px 12px; min-width: 110px; }
+.tile span { display: block; color: #718096; font-size: 12px; }
+.tile b { font-size: 18px; }
+.charts { display: flex; flex-wrap: wrap; gap: 16px; align-items: flex-start; }
+table { border-collapse: collapse; font-size: 12px; }
+th, td { border-bottom: 1px solid #e2e8f0; padding: 4px 8px; text-align: left; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+`;
+
+function renderReport(productId, product, meta, file) {
+  const view = sliceProduct(product, { top: argv.top });
+  const parts = [];
+  const skipped = [];
+  for (const [key, value] of Object.entries(view)) {
+    const render = SECTION_RENDERERS[key];
+    if (!render) { skipped.push(key); continue; }
+    const html = value != null ? render(value) : null;
+    if (html) parts.push(html);
+  }
+
+  const dates = (product.perDay ?? []).map(d => d.analytic_date).sort();
+  const subtitle = [
+    dates.length ? `${dates[0]} – ${dates[dates.length - 1]}` : null,
+    meta?.filter ? `filter: ${JSON.stringify(meta.filter)}` : null,
+    `source: ${path.basename(file)}`
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+  const notRendered = skipped.length
+    ? `<p class="note">Not rendered: ${skipped.map(escapeHtml).join(', ')} (see the vision JSON).</p>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(productId)} – Vision report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(productId)}</h1>
+<p class="meta">${subtitle}</p>
+${parts.join('\n')}
+${notRendered}
+</body>
+</html>`;
+}
+
+function main() {
+  const visions = readVisions(argv.in);
+  if (visions.length === 0) {
+    console.error(`No *.vision.json files in ${argv.in}. Run generate:vision first.`);
+    process.exit(1);
+  }
+  const outDir = argv.out ?? path.join(argv.in, 'reports');
+  const wanted = argv.product ? new Set(argv.product) : null;
+
+  let written = 0;
+  for (const { file, meta, products } of visions) {
+    const selected = products.filter(p => !wanted || wanted.has(p.productId));
+    if (!selected.length) continue;
+    const base = path.basename(file, VISION_SUFFIX);
+    for (const { productId, product } of selected) {
+      const name = products.length === 1 ? base : `${base}.${encodeURIComponent(productId)}`;
+      const out = path.join(outDir, `${name}.html`);
+      safeWriteLinesAtomicSync(out, [renderReport(productId, product, meta, file)]);
+      console.log(`Wrote ${out}`);
+      written += 1;
+    }
+  }
+  if (written === 0) {
+    console.error(`No vision matches --product ${argv.product.join(' ')}.`);
+    process.exit(1);
+  }
+}
+
+main();
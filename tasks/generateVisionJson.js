@@ -1,582 +1,277 @@
 // tasks/generateVisionJson.js
-// Build ./processed/{productId}.vision.json per unique Insertion Order.
+// Build ./processed/{productId}.vision.json per product (utils/naming.js productId).
 // Uses:
-//   - rawData/device.csv
-//   - intermediate/gender.deaggregated.jsonl
-//   - rawData/unique.csv
-//   - rawData/categories.csv
-//   - intermediate/categoryscored.jsonl
-//
-// Behavior highlights:
-// - DV footer: stop parsing CSVs at lines starting with "Report Time" (case-insensitive).
-// - productId = first segment of "Insertion Order" split by '_'.
-// - Devices: Tablet + Smart Phone => Mobile; compute % of impressions (not by date).
-//   If any device % < config minimum, roll those % into the highest device bucket.
-// - Demo: from gender.deaggregated.jsonl, compute percentages (0–100) with 4 decimals,
-//   across the whole insertion order (not by date). Only output requested fields.
-// - Per-day & Totals: from unique.csv, compute daily metrics and grand totals.
-// - Key properties: from categories.csv, per App/URL sums.
-// - Content taxonomy: from intermediate/categoryscored.jsonl,
-//   * campaign_delivery: per date per iabId -> {id,date,name,value (rounded int), percent (4d)}
-//   * audience_distribution: totals across dates per iabId similarly.
+//   - rawData/device.csv, rawData/unique.csv, rawData/categories.csv
+//   - intermediate/gender.deaggregated.jsonl, intermediate/categoryscored.jsonl
+// The sources are read and aggregated per product in utils/visionIngest.js; this task merges
+// them, attaches entities, per-day breakdowns and coverage, and writes the files.
 //
 // Output:
 //   { data: { products: { [productId]: { byDevices, totals, entities: [], keyProperties: [], demo: {...},
 //       contentTaxonomy: { audience_distribution: [], campaign_delivery: [], campaign_interactions: [] },
-//       perDay: [] }}}}
+//       perDay: [], byDevicesPerDay?: [], demoPerDay?: [], dataCoverage?: {...}, members?: [] }}, meta?: { filter, groupBy, ageStrategy } }}
+//   Roll-ups (--group-by): processed/rollup.{attributes}.{encoded values}.vision.json
 //
 // CLI:
-//   --provider [dv|ttd|zed]  (default 'dv')  // for footer rule consistency
+//   --provider [dv|ttd|zed]  (default 'dv')  // provider adapter
+//   --from / --to / --io / --product          // row filters
+//   --group-by <attribute...>                 // also write roll-ups, e.g. --group-by advertiser campaign
+//   --per-day (default config.vision.perDayBreakdowns ?? false)  // byDevicesPerDay + demoPerDay
+//   --device-buckets <table> (default config.devices.buckets ?? 'merged')  // config.devices.tables
+//   --device-rollup (default config.devices.rollUp ?? true)
+//   --top-properties <n> (default config.keyProperties.topN ?? 25)  // 0 = all
+//   --unknown-shares (default config.vision.unknownShares ?? false)
+//   --coverage (default config.reconcile.coverage ?? false)  // attach dataCoverage per product
+//   --parallel (default config.vision.parallel ?? true)  // one worker thread per source
+//   --max-memory <MB> (default config.vision.maxMemoryMb ?? 0)  // estimated aggregation budget; 0 = no limit
 
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
-import readline from 'node:readline';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import config from '../config.js';
 import { ensureDirSync, fileExistsSync } from '../utils/fs.js';
-import { applyCommonArgs } from '../utils/argumentos.js';
-
-const argv = applyCommonArgs(
+import { applyCommonArgs, applyFilterArgs } from '../utils/argumentos.js';
+import { getProvider } from '../utils/providers/index.js';
+import { createQualityReport } from '../utils/quality.js';
+import { createRowFilter } from '../utils/filters.js';
+import { productIdFromInsertionOrder, parseInsertionOrder } from '../utils/naming.js';
+import { collectTotals, reconcile, coverageFor } from '../utils/reconcile.js';
+import { APPS_FILE } from '../utils/properties.js';
+import { ingestSources, fragmentsByTarget, demoPercentages, emptyDemoSums, rollupKeyFor } from '../utils/visionIngest.js';
+
+const argv = applyFilterArgs(applyCommonArgs(
   yargs(hideBin(process.argv))
-).strict().argv;
+    .option('coverage', {
+      type: 'boolean',
+      default: config.reconcile?.coverage ?? false,
+      describe: 'Attach a dataCoverage block (cross-file reconciliation) per product'
+    })
+    .option('per-day', {
+      type: 'boolean',
+      default: config.vision?.perDayBreakdowns ?? false,
+      describe: 'Add byDevicesPerDay and demoPerDay (device and age/gender mix per date)'
+    })
+    .option('top-properties', {
+      type: 'number',
+      default: config.keyProperties?.topN ?? 25,
+      describe: 'keyProperties rows kept (by impressions); the rest is summed into "Other" (0 = all)'
+    })
+    .option('unknown-shares', {
+      type: 'boolean',
+      default: config.vision?.unknownShares ?? false,
+      describe: 'Add gender_other, gender_unknown, identifiedShare, age_unknown and ageIdentifiedShare to demo'
+    })
+    .option('device-buckets', {
+      type: 'string',
+      default: config.devices?.buckets ?? 'merged',
+      describe: 'Device table from config.devices.tables (merged: Tablet + Smart Phone => Mobile; granular)'
+    })
+    .option('device-rollup', {
+      type: 'boolean',
+      default: config.devices?.rollUp ?? true,
+      describe: 'Move devices below config.devices.minPct into the largest bucket (--no-device-rollup keeps them)'
+    })
+    .option('group-by', {
+      type: 'array',
+      string: true,
+      describe: 'Also write roll-up visions per value of these IO attributes (config.naming)'
+    })
+    .option('parallel', {
+      type: 'boolean',
+      default: config.vision?.parallel ?? true,
+      describe: 'Read the sources concurrently in worker threads (--no-parallel: one after another)'
+    })
+    .option('max-memory', {
+      type: 'number',
+      default: config.vision?.maxMemoryMb ?? 0,
+      describe: 'Aggregation memory budget in MB; larger partitions spill to disk (0 = no limit)'
+    })
+    .check((args) => {
+      if (!(args.maxMemory >= 0)) throw new Error('max-memory must be >= 0');
+      return true;
+    })
+)).strict().argv;
 
 // --- Paths & config
-const RAW_DIR = config.paths?.raw ?? './rawData';
-const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
 const PROCESSED_DIR = config.paths?.processed ?? './processed';
-const ENCODING = config.csv?.encoding ?? 'utf8';
-const DELIM = config.csv?.delimiter ?? ',';
 const DEVICE_MIN_PCT = (config.devices?.minPct ?? config.deviceMinPct ?? 1.0); // percentage points
-
-const DEVICE_CSV = path.join(RAW_DIR, 'device.csv');
-const UNIQUE_CSV = path.join(RAW_DIR, 'unique.csv');
-const CATEGORIES_CSV = path.join(RAW_DIR, 'categories.csv');
-const DEMO_JSONL = path.join(INTERMEDIATE_DIR, 'gender.deaggregated.jsonl');
-const IAB_SCORED_JSONL = path.join(INTERMEDIATE_DIR, 'categoryscored.jsonl');
-
-// --- Small helpers
-function splitCSV(line, delimiter) {
-  if (!line.includes('"')) return line.split(delimiter);
-  const out = []; let cur = ''; let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; } else inQuotes = !inQuotes;
-      continue;
-    }
-    if (ch === delimiter && !inQuotes) { out.push(cur); cur = ''; continue; }
-    cur += ch;
-  }
-  out.push(cur);
-  return out;
-}
-function parseNumber(x) {
-  if (x == null) return 0;
-  const n = Number(String(x).replace(/,/g, '').trim());
-  return Number.isFinite(n) ? n : 0;
-}
-function isDVFooter(line) {
-  if (argv.provider !== 'dv') return false;
-  return /^\s*report time\b/i.test(line);
-}
-function normDate(s) {
-  const str = String(s || '').trim();
-  let m = str.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
-  if (m) {
-    const [_, y, mo, d] = m;
-    return `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-    }
-  m = str.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/); // mm/dd/yyyy
-  if (m) {
-    const [_, mo, d, y] = m;
-    return `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-  }
-  return str; // fallback
-}
-function round4(x) {
-  return Number.isFinite(x) ? Number(x.toFixed(4)) : 0;
-}
-function pct4(num, den) {
-  return den > 0 ? round4((num / den) * 100) : 0;
-}
-function productIdFromInsertionOrder(io) {
-  const s = String(io || '');
-  const idx = s.indexOf('_');
-  return idx >= 0 ? s.slice(0, idx) : s;
-}
-function normalizeDeviceType(dtRaw) {
-  const s = String(dtRaw || '').toLowerCase().trim();
-  if (!s) return 'Other';
-  // Common aliases
-  if (s.includes('ctv') || (s.includes('connected') && s.includes('tv'))) return 'CTV';
-  if (s.includes('tablet')) return 'Tablet';
-  if (s.replace(/\s+/g, '').includes('smartphone') || (s.includes('smart') && s.includes('phone'))) return 'Smart Phone';
-  if (s === 'mobile') return 'Mobile';
-  if (s.includes('desktop')) return 'Desktop';
-  if (s.includes('phone')) return 'Smart Phone';
-  return dtRaw; // keep as-is (original casing)
+// Device bucket tables (config.devices.tables): canonical device (provider normalizeDevice) -> bucket.
+// Devices missing from the table are their own bucket.
+const DEVICE_TABLES = config.devices?.tables ?? {};
+const DEVICE_TABLE = DEVICE_TABLES[argv.deviceBuckets];
+if (!DEVICE_TABLE) {
+  console.error(`Unknown device table "${argv.deviceBuckets}" (config.devices.tables: ${Object.keys(DEVICE_TABLES).join(' | ') || 'none'})`);
+  process.exit(1);
 }
-
+const PROVIDER = getProvider(argv.provider);
+
+// Engagement formula (config.engagements.terms): [{ column, weight }]
+const ENGAGEMENT_TERMS = (config.engagements?.terms ?? ['clicks', 'videoViews100'])
+  .map(t => (typeof t === 'string' ? { column: t, weight: 1 } : { column: t.column, weight: t.weight ?? 1 }))
+  .filter(t => t.column);
+
+// What every source reader gets (utils/visionIngest.js); structured-clonable for the workers.
+const INGEST_OPTIONS = {
+  provider: argv.provider,
+  from: argv.from,
+  to: argv.to,
+  io: argv.io,
+  product: argv.product,
+  groupBy: argv.groupBy,
+  perDay: argv.perDay,
+  deviceTable: DEVICE_TABLE,
+  deviceRollup: argv.deviceRollup,
+  deviceMinPct: DEVICE_MIN_PCT,
+  topProperties: argv.topProperties, // 0 = no limit
+  unknownShares: argv.unknownShares,
+  engagementTerms: ENGAGEMENT_TERMS,
+  maxBytes: Math.floor(argv.maxMemory * 1024 * 1024)
+};
+
+const FILTER = createRowFilter(argv);
 // --- Data containers
-// products[productId] = { byDevices, totals, entities, keyProperties, demo, contentTaxonomy, perDay }
-const products = new Map();
-
-// Ensure structure
-function ensureProduct(pid) {
-  if (!products.has(pid)) {
-    products.set(pid, {
-      byDevices: {},
-      totals: {},
-      entities: [],
-      keyProperties: [],
-      demo: {},
-      contentTaxonomy: {
-        audience_distribution: [],
-        campaign_delivery: [],
-        campaign_interactions: []
-      },
-      perDay: []
-    });
-  }
-  return products.get(pid);
+// Skipped rows per source -> intermediate/quality.generate_vision.json
+const quality = createQualityReport('generate:vision', { filter: FILTER });
+
+// Roll-ups are products too (same aggregation, same schema) under 'rollup:' keys.
+const GROUP_BY = argv.groupBy?.length ? argv.groupBy : null;
+const rollups = new Map(); // key -> { id, groupBy: { attribute: value }, members: Set(productId) }
+// key -> Set(insertionOrder), every IO seen in any source (-> entities)
+const targetIos = new Map();
+// ageStrategy values seen in gender.deaggregated.jsonl (infer:ageGender)
+const ageStrategies = new Set();
+
+// Products are built, completed and written one at a time (main), so only the current one is
+// held: { byDevices, totals, entities, keyProperties, demo, contentTaxonomy, perDay }
+function emptyProduct() {
+  return {
+    byDevices: {},
+    totals: {},
+    entities: [],
+    keyProperties: [],
+    demo: {},
+    contentTaxonomy: {
+      audience_distribution: [],
+      campaign_delivery: [],
+      campaign_interactions: []
+    },
+    perDay: []
+  };
 }
 
-// --- DEVICE.CSV
-async function ingestDevices() {
-  if (!fileExistsSync(DEVICE_CSV)) return;
-  const stream = fs.createReadStream(DEVICE_CSV, ENCODING);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-  let lineNo = 0;
-  let idx = { insertionOrder: 0, date: 1, deviceType: 2, impressions: 3 };
-  const perProductImps = new Map(); // pid -> total imps
-  const perProductDeviceImps = new Map(); // pid -> Map<Device, imps>
-
-  for await (const rawLine of rl) {
-    const line = rawLine ?? '';
-    if (isDVFooter(line)) break;
-    if (!line.trim()) continue;
-
-    lineNo += 1;
-    const cols = splitCSV(line, DELIM);
-
-    if (lineNo === 1) {
-      const headers = splitCSV(line, DELIM).map(h => String(h).trim().toLowerCase());
-      const map = {
-        'insertion order': 'insertionOrder',
-        'date': 'date',
-        'device type': 'deviceType',
-        'impressions': 'impressions'
-      };
-      let found = false;
-      for (let i = 0; i < headers.length; i++) {
-        const k = map[headers[i]];
-        if (k) { idx[k] = i; found = true; }
-      }
-      if (found && headers.includes('device type')) continue; // header row
-    }
-
-    const IO = cols[idx.insertionOrder];
-    const pid = productIdFromInsertionOrder(IO);
-    const deviceRaw = cols[idx.deviceType];
-    const imps = parseNumber(cols[idx.impressions]);
-    if (!pid || !imps) continue;
-
-    let bucket = normalizeDeviceType(deviceRaw);
-    // Aggregate Tablet & Smart Phone into Mobile
-    if (bucket === 'Tablet' || bucket === 'Smart Phone') bucket = 'Mobile';
-
-    const total = (perProductImps.get(pid) ?? 0) + imps;
-    perProductImps.set(pid, total);
-
-    const devMap = perProductDeviceImps.get(pid) ?? new Map();
-    devMap.set(bucket, (devMap.get(bucket) ?? 0) + imps);
-    perProductDeviceImps.set(pid, devMap);
+// --- SOURCES (utils/visionIngest.js): bookkeeping into the globals; the fragments are read
+// per product (fragmentsByTarget)
+function mergeResult(result) {
+  quality.merge(result.quality);
+  for (const [key, ios] of result.targetIos.entries()) {
+    if (!targetIos.has(key)) targetIos.set(key, new Set());
+    for (const io of ios) targetIos.get(key).add(io);
   }
-
-  // Compute percentages & threshold roll-up
-  for (const [pid, devMap] of perProductDeviceImps.entries()) {
-    const total = perProductImps.get(pid) || 0;
-    if (total <= 0) { ensureProduct(pid).byDevices = {}; continue; }
-
-    // raw percentages
-    const raw = [];
-    for (const [dev, imp] of devMap.entries()) {
-      raw.push({ dev, pct: (imp / total) * 100 });
-    }
-    if (raw.length === 0) { ensureProduct(pid).byDevices = {}; continue; }
-
-    // find max device
-    let maxIdx = 0;
-    for (let i = 1; i < raw.length; i++) if (raw[i].pct > raw[maxIdx].pct) maxIdx = i;
-
-    // collect smalls
-    let smallSum = 0;
-    const keep = [];
-    for (let i = 0; i < raw.length; i++) {
-      const r = raw[i];
-      if (r.pct < DEVICE_MIN_PCT && i !== maxIdx) smallSum += r.pct;
-      else keep.push(r);
-    }
-    // add smallSum to max
-    if (smallSum > 0) {
-      keep[maxIdx >= keep.length ? keep.length - 1 : keep.findIndex(k => k.dev === raw[maxIdx].dev)].pct += smallSum;
-    }
-
-    const outObj = {};
-    for (const k of keep) outObj[k.dev] = round4(k.pct);
-    ensureProduct(pid).byDevices = outObj;
-  }
-}
-
-// --- DEMO (gender.deaggregated.jsonl)
-async function ingestDemo() {
-  if (!fileExistsSync(DEMO_JSONL)) return;
-  const rl = readline.createInterface({ input: fs.createReadStream(DEMO_JSONL, ENCODING), crlfDelay: Infinity });
-
-  // per PID sums
-  const male = new Map(), female = new Map();
-  const ages = new Map(); // pid -> { '18-24':imps, '25-34':..., '35-44', '45-54', '55-64', '+65':imps }
-
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    let obj;
-    try { obj = JSON.parse(line); } catch { continue; }
-    
-    const io = obj.insertionOrder ?? obj.insertion_order ?? '';
-    const pid = productIdFromInsertionOrder(io);
-    if (!pid) continue;
-
-    const imps = parseNumber(obj.impressions);
-    if (!imps) continue;
-
-    // gender
-    const g = String(obj.gender || '').toLowerCase();    
-    if (g === 'male') {
-      male.set(pid, (male.get(pid) ?? 0) + imps);
-    } else if (g==='female') {
-          female.set(pid, (female.get(pid) ?? 0) + imps);
-    }
-
-    // age bins we track
-    const a = String(obj.age || '').trim();
-    const aMap = ages.get(pid) ?? { '18-24': 0, '25-34': 0, '35-44': 0, '45-54': 0, '55-64': 0, '+65': 0 };
-    if (a === '18-24') aMap['18-24'] += imps;
-    else if (a === '25-34') aMap['25-34'] += imps;
-    else if (a === '35-44') aMap['35-44'] += imps;
-    else if (a === '45-54') aMap['45-54'] += imps;
-    else if (a === '55-64') aMap['55-64'] += imps;
-    else if (a === '+65' || a === '65+') aMap['+65'] += imps;
-    ages.set(pid, aMap);
+  for (const [key, r] of result.rollups.entries()) {
+    if (!rollups.has(key)) rollups.set(key, { id: r.id, groupBy: r.groupBy, members: new Set() });
+    for (const pid of r.members) rollups.get(key).members.add(pid);
   }
+  for (const st of result.ageStrategies) ageStrategies.add(st);
 
-  // compute percentages with corrected denominators
-  for (const pid of new Set([...male.keys(), ...female.keys(), ...ages.keys()])) {
-    const m = male.get(pid) ?? 0;
-    const f = female.get(pid) ?? 0;
-    
-    const genderDen = m + f;
-
-    const aMap = ages.get(pid) ?? { '18-24': 0, '25-34': 0, '35-44': 0, '45-54': 0, '55-64': 0, '+65': 0 };
-    const ageDen = (aMap['18-24'] + aMap['25-34'] + aMap['35-44'] + aMap['45-54'] + aMap['55-64'] + aMap['+65']);
-
-    const d = {
-      gender_male: genderDen > 0 ? pct4(m, genderDen) : 0,
-      gender_female: genderDen > 0 ? pct4(f, genderDen) : 0,
-      age_18_24: ageDen > 0 ? pct4(aMap['18-24'], ageDen) : 0,
-      age_25_34: ageDen > 0 ? pct4(aMap['25-34'], ageDen) : 0,
-      age_35_44: ageDen > 0 ? pct4(aMap['35-44'], ageDen) : 0,
-      age_45_54: ageDen > 0 ? pct4(aMap['45-54'], ageDen) : 0,
-      age_55_64: ageDen > 0 ? pct4(aMap['55-64'], ageDen) : 0,
-      age_65:     ageDen > 0 ? pct4(aMap['+65'],    ageDen) : 0
-    };
-
-    ensureProduct(pid).demo = d;
-  }
+  const { partitions, spilled, spilledRows } = result.spill;
+  if (spilled) console.log(`${result.source}: ${spilled} of ${partitions} partition(s) spilled to disk (${spilledRows} rows)`);
 }
 
-// --- UNIQUE.CSV (perDay + totals)
-async function ingestUnique() {
-  if (!fileExistsSync(UNIQUE_CSV)) return;
-  const rl = readline.createInterface({ input: fs.createReadStream(UNIQUE_CSV, ENCODING), crlfDelay: Infinity });
-
-  let lineNo = 0;
-  let idx = {
-    insertionOrder: 0, date: 1,
-    impressions: 2, clicks: 3, viewableImps: 4,
-    starts: 6, v25: 7, v50: 8, v75: 9, v100: 10
-  };
-
-  // per PID totals and per-day arrays
-  const perDay = new Map(); // pid -> array of day objects
-  const totals = new Map(); // pid -> totals object
-
-  for await (const rawLine of rl) {
-    const line = rawLine ?? '';
-    if (isDVFooter(line)) break;
-    if (!line.trim()) continue;
-    lineNo += 1;
-    const cols = splitCSV(line, DELIM);
-
-    if (lineNo === 1) {
-      const headers = splitCSV(line, DELIM).map(h => String(h).trim().toLowerCase());
-      const map = {
-        'insertion order': 'insertionOrder',
-        'date': 'date',
-        'impressions': 'impressions',
-        'clicks': 'clicks',
-        'viewable impressions': 'viewableImps',
-        'unique impression': 'unique', // not used
-        'video_starts': 'starts',
-        'video_views25': 'v25',
-        'video_views50': 'v50',
-        'video_views75': 'v75',
-        'video_views100': 'v100'
-      };
-      let found = false;
-      for (let i = 0; i < headers.length; i++) {
-        const k = map[headers[i]];
-        if (k && k in idx) { idx[k] = i; found = true; }
-      }
-      if (found && headers.includes('date')) continue; // header row
-    }
-
-    const IO = cols[idx.insertionOrder];
-    const pid = productIdFromInsertionOrder(IO);
-    if (!pid) continue;
-
-    const date = normDate(cols[idx.date]);
-    const impressions = parseNumber(cols[idx.impressions]);
-    const clicks = parseNumber(cols[idx.clicks]);
-    const viewable = parseNumber(cols[idx.viewableImps]);
-    const starts = parseNumber(cols[idx.starts]);
-    const v25 = parseNumber(cols[idx.v25]);
-    const v50 = parseNumber(cols[idx.v50]);
-    const v75 = parseNumber(cols[idx.v75]);
-    const v100 = parseNumber(cols[idx.v100]);
-
-    const dayObj = {
-      analytic_engagements: 0,
-      analytic_engagementsPercent: 0,
-      analytic_date: date,
-      analytic_viewability: pct4(viewable, impressions),
-      analytic_uniqueUsers: 0,
-      analytic_views: v100,
-      analytic_views25: v25,
-      analytic_views50: v50,
-      analytic_views75: v75,
-      analytic_vtr: pct4(v100, starts),
-      analytic_ctr: pct4(clicks, impressions),
-      analytic_impressions: impressions,
-      analytic_clicks: clicks
-    };
-    const arr = perDay.get(pid) ?? [];
-    arr.push(dayObj);
-    perDay.set(pid, arr);
-
-    const tot = totals.get(pid) ?? {
-      impressions: 0, clicks: 0, viewable: 0, starts: 0, v25: 0, v50: 0, v75: 0, v100: 0
-    };
-    tot.impressions += impressions;
-    tot.clicks += clicks;
-    tot.viewable += viewable;
-    tot.starts += starts;
-    tot.v25 += v25;
-    tot.v50 += v50;
-    tot.v75 += v75;
-    tot.v100 += v100;
-    totals.set(pid, tot);
-  }
-
-  // Assign into products
-  for (const [pid, arr] of perDay.entries()) {
-    // sort by date asc for stability
-    arr.sort((a, b) => String(a.analytic_date).localeCompare(String(b.analytic_date)));
-    ensureProduct(pid).perDay = arr;
-  }
-  for (const [pid, t] of totals.entries()) {
-    ensureProduct(pid).totals = {
-      analytic_engagements: 0,
-      analytic_engagementsPercent: 0,
-      analytic_viewability: pct4(t.viewable, t.impressions),
-      analytic_uniqueUsers:0,
-      analytic_views: t.v100,
-      analytic_views25: t.v25,
-      analytic_views50: t.v50,
-      analytic_views75: t.v75,
-      analytic_vtr: pct4(t.v100, t.starts),
-      analytic_ctr: pct4(t.clicks, t.impressions),
-      analytic_impressions: t.impressions,
-      analytic_clicks: t.clicks
-    };
+// Fragments (SOURCES order) -> product, plus the --per-day device and demo mixes by date.
+function buildProduct(fragments) {
+  const product = emptyProduct();
+  const breakdowns = { devices: new Map(), demo: new Map() };
+  for (const { devicesByDate, demoByDate, contentTaxonomy, ...fields } of fragments) {
+    Object.assign(product, fields);
+    if (contentTaxonomy) Object.assign(product.contentTaxonomy, contentTaxonomy);
+    if (devicesByDate) breakdowns.devices = devicesByDate;
+    if (demoByDate) breakdowns.demo = demoByDate;
   }
+  return { product, breakdowns };
 }
 
-// --- CATEGORIES.CSV (keyProperties)
-async function ingestKeyProps() {
-  if (!fileExistsSync(CATEGORIES_CSV)) return;
-  const rl = readline.createInterface({ input: fs.createReadStream(CATEGORIES_CSV, ENCODING), crlfDelay: Infinity });
-
-  let lineNo = 0;
-  let idx = { insertionOrder: 0, date: 1, category: 2, appUrl: 3, impressions: 4, clicks: 5, viewableImps: 6 };
-  // pid -> Map(appUrl -> {imp,clk,view})
-  const agg = new Map();
-
-  for await (const rawLine of rl) {
-    const line = rawLine ?? '';
-    if (isDVFooter(line)) break;
-    if (!line.trim()) continue;
-    lineNo += 1;
-    const cols = splitCSV(line, DELIM);
-
-    if (lineNo === 1) {
-      const headers = splitCSV(line, DELIM).map(h => String(h).trim().toLowerCase());
-      const map = {
-        'insertion order': 'insertionOrder',
-        'date': 'date',
-        'category': 'category',
-        'app/url': 'appUrl',
-        'impressions': 'impressions',
-        'clicks': 'clicks',
-        'viewable impressions': 'viewableImps'
-      };
-      let found = false;
-      for (let i = 0; i < headers.length; i++) {
-        const k = map[headers[i]];
-        if (k) { idx[k] = i; found = true; }
-      }
-      if (found && headers.includes('category')) continue; // header row
-    }
-
-    const IO = cols[idx.insertionOrder];
-    const pid = productIdFromInsertionOrder(IO);
-    if (!pid) continue;
-
-    const app = String(cols[idx.appUrl] ?? '').trim();
-    if (!app) continue;
-
-    const imps = parseNumber(cols[idx.impressions]);
-    const clk = parseNumber(cols[idx.clicks]);
-    const view = parseNumber(cols[idx.viewableImps]);
-
-    const mapPid = agg.get(pid) ?? new Map();
-    const current = mapPid.get(app) ?? { impressions: 0, clicks: 0, viewability: 0 };
-    current.impressions += imps;
-    current.clicks += clk;
-    current.viewability += view; // sum of viewable impressions (as requested)
-    mapPid.set(app, current);
-    agg.set(pid, mapPid);
-  }
-
-  for (const [pid, mapPid] of agg.entries()) {
-    const list = [];
-    for (const [placement_domain, vals] of mapPid.entries()) {
-      list.push({ placement_domain, impressions: vals.impressions, clicks: vals.clicks, viewability: vals.viewability });
-    }
-    ensureProduct(pid).keyProperties = list;
-  }
+// --- ENTITIES (one per IO: naming-convention attributes)
+function attachEntities(key, product) {
+  product.entities = [...(targetIos.get(key) ?? [])].sort().map((io) => {
+    const { productId, matched, attributes } = parseInsertionOrder(io);
+    return { insertionOrder: io, productId, matched, ...attributes };
+  });
+  const rollup = rollups.get(key);
+  if (rollup) product.members = [...rollup.members].sort();
 }
 
-// --- IAB SCORED (campaign_delivery + audience_distribution)
-async function ingestIabScored() {
-  if (!fileExistsSync(IAB_SCORED_JSONL)) return;
-  const rl = readline.createInterface({ input: fs.createReadStream(IAB_SCORED_JSONL, ENCODING), crlfDelay: Infinity });
-
-  // Structures:
-  // per pid:
-  //   daily: Map(date => Map(iabId => {name, val}))
-  //   totals: Map(iabId => {name, val})
-  const dailyByPid = new Map();
-  const totalsByPid = new Map();
-
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    let obj;
-    try { obj = JSON.parse(line); } catch { continue; }
-    const io = obj.insertionOrder ?? obj.insertion_order ?? '';
-    const pid = productIdFromInsertionOrder(io);
-    if (!pid) continue;
-
-    const date = normDate(obj.date);
-    const iabId = String(obj.iabId ?? obj.iab_id ?? '');
-    const name = String(obj.iabcategoryName ?? obj.name ?? '');
-    const val = parseNumber(obj.iabscore);
-    if (!date || !iabId || !val) continue;
-
-    // daily
-    const byDate = dailyByPid.get(pid) ?? new Map();
-    const catMap = byDate.get(date) ?? new Map();
-    const cur = catMap.get(iabId) ?? { name, val: 0 };
-    cur.val += val;
-    // prefer latest name if varies
-    cur.name = name || cur.name;
-    catMap.set(iabId, cur);
-    byDate.set(date, catMap);
-    dailyByPid.set(pid, byDate);
-
-    // totals
-    const totMap = totalsByPid.get(pid) ?? new Map();
-    const curTot = totMap.get(iabId) ?? { name, val: 0 };
-    curTot.val += val;
-    curTot.name = name || curTot.name;
-    totMap.set(iabId, curTot);
-    totalsByPid.set(pid, totMap);
-  }
-
-  // Emit into product objects
-  for (const [pid, byDate] of dailyByPid.entries()) {
-    const product = ensureProduct(pid);
-    const deliveries = [];
-    for (const [date, catMap] of byDate.entries()) {
-      let dayTotal = 0;
-      for (const v of catMap.values()) dayTotal += v.val;
-      if (dayTotal <= 0) continue;
-      for (const [id, v] of catMap.entries()) {
-        const valueRounded = Math.round(v.val);
-        const percent = pct4(v.val, dayTotal);
-        deliveries.push({ id, date, name: v.name, value: valueRounded, percent });
-      }
-    }
-    // Sort by date asc for stability
-    deliveries.sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id)));
-    product.contentTaxonomy.campaign_delivery = deliveries;
-  }
+// --- PER-DAY BREAKDOWNS (--per-day)
+// One entry per date, in the order of perDay: every perDay date is present (empty breakdown
+// when the source has no rows that day), plus any breakdown-only dates.
+function attachPerDayBreakdowns(product, { devices, demo }) {
+  const dates = new Set(product.perDay.map(d => d.analytic_date));
+  for (const d of devices.keys()) dates.add(d);
+  for (const d of demo.keys()) dates.add(d);
+  const sorted = [...dates].sort();
+
+  product.byDevicesPerDay = sorted.map(date => ({ analytic_date: date, ...(devices.get(date) ?? {}) }));
+  product.demoPerDay = sorted.map(date => ({
+    analytic_date: date,
+    ...(demo.get(date) ?? demoPercentages(emptyDemoSums(), INGEST_OPTIONS))
+  }));
+}
 
-  for (const [pid, totMap] of totalsByPid.entries()) {
-    const product = ensureProduct(pid);
-    let grand = 0; for (const v of totMap.values()) grand += v.val;
-    const audience = [];
-    if (grand > 0) {
-      for (const [id, v] of totMap.entries()) {
-        audience.push({ id, name: v.name, value: Math.round(v.val), percent: pct4(v.val, grand) });
-      }
-    }
-    // sort by value desc then name
-    audience.sort((a, b) => (b.value - a.value) || String(a.name).localeCompare(String(b.name)));
-    product.contentTaxonomy.audience_distribution = audience;
-  }
+// --- DATA COVERAGE (cross-file reconciliation, utils/reconcile.js)
+// Reconciled once (per-IO totals), attached per product.
+function attachCoverage(key, product, reconciled) {
+  const rollupKeyOf = (io) => rollupKeyFor(io, GROUP_BY);
+  product.dataCoverage = coverageFor(reconciled, key, rollups.has(key) ? rollupKeyOf : productIdFromInsertionOrder);
 }
 
 // --- WRITE FILES
-function writeOutputs() {
-  ensureDirSync(PROCESSED_DIR);
-  for (const [pid, node] of products.entries()) {
-    const out = { data: { products: { [pid]: node } } };
-    const file = path.join(PROCESSED_DIR, `${pid}.vision.json`);
-    fs.writeFileSync(file, JSON.stringify(out, null, 2), 'utf8'); // pretty with 2 spaces
-    console.log(`Wrote ${file}`);
-  }
+function writeVision(key, node) {
+  const rollup = rollups.get(key);
+  const id = rollup ? rollup.id : key;
+  const out = { data: { products: { [id]: node } } };
+  const meta = {};
+  if (FILTER.active) meta.filter = FILTER.describe();
+  if (rollup) meta.groupBy = rollup.groupBy;
+  if ([...ageStrategies].some(st => st !== 'uniform')) meta.ageStrategy = [...ageStrategies].sort().join(',');
+  if (Object.keys(meta).length) out.data.meta = meta;
+  // Roll-up ids are already file-safe (encodeRollupValue)
+  const name = rollup ? `rollup.${GROUP_BY.join('+')}.${id}` : key;
+  const file = path.join(PROCESSED_DIR, `${name}.vision.json`);
+  fs.writeFileSync(file, JSON.stringify(out, null, 2), 'utf8'); // pretty with 2 spaces
+  console.log(`Wrote ${file}`);
 }
 
 // --- MAIN
 async function main() {
-  await ingestDevices();
-  await ingestDemo();
-  await ingestUnique();
-  await ingestKeyProps();
-  await ingestIabScored();
-  writeOutputs();
+  // The app lookup is optional: without it apps keep their store IDs as names.
+  if (!fileExistsSync(APPS_FILE)) {
+    console.warn(`No app lookup at ${APPS_FILE} (config.keyProperties.appsFile); keyProperties apps are named by their store ID.`);
+  }
+  const reconciled = argv.coverage ? reconcile(await collectTotals({ provider: PROVIDER, filter: FILTER })) : null;
+
+  // Spilled partitions and finished fragments go to a temporary directory, removed once the
+  // visions are written.
+  const spillDir = INGEST_OPTIONS.maxBytes > 0 ? fs.mkdtempSync(path.join(os.tmpdir(), 'vision-spill-')) : null;
+  try {
+    const results = await ingestSources({ ...INGEST_OPTIONS, spillDir }, { parallel: argv.parallel });
+    for (const result of results) mergeResult(result);
+
+    ensureDirSync(PROCESSED_DIR);
+    for (const [key, fragments] of fragmentsByTarget(results)) {
+      const { product, breakdowns } = buildProduct(fragments);
+      attachEntities(key, product);
+      if (argv.perDay) attachPerDayBreakdowns(product, breakdowns);
+      if (reconciled) attachCoverage(key, product, reconciled);
+      writeVision(key, product);
+    }
+  } finally {
+    if (spillDir) fs.rmSync(spillDir, { recursive: true, force: true });
+  }
+  if (GROUP_BY && rollups.size === 0) {
+    console.warn(`No Insertion Order carries ${GROUP_BY.join(', ')} (see config.naming); no roll-ups written.`);
+  }
+  console.log(`Wrote ${quality.write()}`);
 }
 
 main().catch(err => {
@@ -1,40 +1,59 @@
 // tasks/inferIabScoring.js
-// Build ./intermediate/categoryscored.jsonl using ./dictionary/tier1_iab_mapping_top10_unique.jsonl
+// Build ./intermediate/categoryscored.jsonl using ./dictionary/tier{N}_iab_mapping_top10_unique.jsonl
 // Params:
 //   --provider [dv|ttd|zed] (default 'dv')   // from utils:dataProvider via applyCommonArgs
 //   --minscore <float 0..1> (default 0.4)
-//   --splitval <char> (default '/')
+//   --splitval <char> (default: provider separator, '/' for dv)
+//   --depth [1|2|3|4] (default 1)            // deepest category tier to score
+//   --from / --to / --io / --product         // row filters (utils/filters.js), recorded in
+//                                            // categoryscored.jsonl.meta.json
+//
+// Multi-tier: for each row, try the dictionary of tier min(depth, path length) first and
+// fall back to shallower tiers until one has candidates with score >= minscore.
+// Tier 1 uses tier1_iab_mapping_top10_unique.jsonl; deeper tiers prefer the *_unique
+// variant and fall back to tier{N}_iab_mapping_top10.jsonl.
 //
 // Output JSONL records (aggregated by IO, Date, iabId, iabName):
-//   { insertionOrder, date, iabId, iabcategoryName, iabscore }
+//   { insertionOrder, date, iabId, iabcategoryName, iabTier, iabscore, iabclickscore }
+//   iabTier = IAB taxonomy depth of iabId (null when unknown)
+//   iabscore = Σ impressions × score; iabclickscore = Σ clicks × score
 
 import fs from 'node:fs';
 import path from 'node:path';
-import readline from 'node:readline';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import config from '../config.js';
 import { ensureDirSync, fileExistsSync } from '../utils/fs.js';
-import { applyCommonArgs } from '../utils/argumentos.js';
-
-const argv = applyCommonArgs(
+import { applyCommonArgs, applyFilterArgs } from '../utils/argumentos.js';
+import { readCsvRows, SCHEMAS, isIoLevelDate } from '../utils/csv.js';
+import { createDateParser } from '../utils/dates.js';
+import { createRowFilter, writeFilterMeta } from '../utils/filters.js';
+import { getProvider } from '../utils/providers/index.js';
+import { createQualityReport } from '../utils/quality.js';
+
+const argv = applyFilterArgs(applyCommonArgs(
   yargs(hideBin(process.argv))
     .option('minscore', {
       type: 'number',
       default: 0.4,
       describe: 'Minimum dictionary score to include (0..1)'
     })
+    .option('depth', {
+      type: 'number',
+      default: 1,
+      choices: [1, 2, 3, 4],
+      describe: 'Deepest category tier to score (falls back to shallower tiers)'
+    })
     .option('splitval', {
       type: 'string',
-      default: '/',
-      describe: 'Single character used as category separator'
+      describe: 'Single character used as category separator (default: provider separator)'
     })
-)
+))
   .check((args) => {
     if (!(args.minscore >= 0 && args.minscore <= 1)) {
       throw new Error('minscore must be between 0 and 1');
     }
-    if (!args.splitval || args.splitval.length !== 1) {
+    if (args.splitval != null && args.splitval.length !== 1) {
       throw new Error('splitval must be a single character');
     }
     return true;
@@ -46,88 +65,38 @@ const RAW_DIR = config.paths?.raw ?? './rawData';
 const DICT_DIR = config.paths?.dictionary ?? './dictionary';
 const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
 const ENCODING = config.csv?.encoding ?? 'utf8';
-const DELIM = config.csv?.delimiter ?? ',';
 
 const INPUT = path.join(RAW_DIR, 'categories.csv');
-const DICT_FILE = path.join(DICT_DIR, 'tier1_iab_mapping_top10_unique.jsonl');
+const TAXONOMY = path.join(DICT_DIR, 'taxonomy.tsv');
 const OUT = path.join(INTERMEDIATE_DIR, 'categoryscored.jsonl');
+const PROVIDER = getProvider(argv.provider);
+const parseDate = createDateParser({ provider: PROVIDER });
+const FILTER = createRowFilter(argv);
+const SPLIT = argv.splitval ?? PROVIDER.categorySeparator;
 
 // --- helpers ---
-function splitCSV(line, delimiter) {
-  if (!line.includes('"')) return line.split(delimiter);
-  const out = [];
-  let cur = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
-      else inQuotes = !inQuotes;
-      continue;
-    }
-    if (ch === delimiter && !inQuotes) { out.push(cur); cur = ''; continue; }
-    cur += ch;
-  }
-  out.push(cur);
-  return out;
-}
-
-function isFooterLine(provider, line) {
-  if (provider !== 'dv') return false;
-  return /^\s*report time\b/i.test(line);
+function dictionaryFileForTier(tier) {
+  const unique = path.join(DICT_DIR, `tier${tier}_iab_mapping_top10_unique.jsonl`);
+  if (tier === 1 || fileExistsSync(unique)) return unique;
+  return path.join(DICT_DIR, `tier${tier}_iab_mapping_top10.jsonl`);
 }
 
-function normalizePart(s) {
-  return String(s ?? '').trim();
+function pathKey(parts) {
+  return parts.map(p => p.toLowerCase()).join('\u0001');
 }
 
-function preprocessForProvider(raw, provider, splitChar) {
-  if (provider === 'dv') {
-    const idx = raw.indexOf(splitChar);
-    if (idx >= 0) {
-      return raw.slice(0, idx) + raw.slice(idx + 1);
-    }
-  }
-  return raw;
-}
-
-function resolveIndexes(headerLine) {
-  // Defaults per categories.csv schema
-  let idx = {
-    insertionOrder: 0, // "Insertion Order"
-    date: 1,           // "Date"
-    category: 2,       // "Category"
-    impressions: 4     // "Impressions"
-  };
-
-  if (!headerLine) return idx;
-  const headers = splitCSV(headerLine, DELIM).map(h => String(h).trim().toLowerCase());
-
-  const map = {
-    'insertion order': 'insertionOrder',
-    'date': 'date',
-    'category': 'category',
-    'impressions': 'impressions'
-  };
-
-  for (let i = 0; i < headers.length; i++) {
-    const key = map[headers[i]];
-    if (key) idx[key] = i;
-  }
-  return idx;
-}
-
-// Load dictionary: { lower(tier1) -> [{id, name, score}, ...] }
-function loadDictionary(dictPath) {
+// Load dictionary: { lower(tier1..tierN path) -> [{id, name, score, tier?}, ...] }
+function loadDictionary(dictPath, tier) {
   const dict = new Map();
   const content = fs.readFileSync(dictPath, ENCODING);
   for (const line of content.split(/\r?\n/)) {
     if (!line.trim()) continue;
     try {
       const obj = JSON.parse(line);
-      const key = String(obj.tier1 || '').trim().toLowerCase();
+      const parts = [];
+      for (let t = 1; t <= tier; t++) parts.push(String(obj[`tier${t}`] || '').trim());
       const arr = Array.isArray(obj.iab) ? obj.iab : [];
-      if (key) dict.set(key, arr);
+      if (parts.every(Boolean)) dict.set(pathKey(parts), arr);
     } catch {
       // ignore malformed lines
     }
@@ -135,98 +104,122 @@ function loadDictionary(dictPath) {
   return dict;
 }
 
+// IAB id -> taxonomy depth, for dictionaries written before entries carried `tier`.
+function loadTaxonomyDepths(file) {
+  const depths = new Map();
+  if (!fileExistsSync(file)) return depths;
+  const lines = fs.readFileSync(file, ENCODING).split(/\r?\n/).slice(1);
+  for (const line of lines) {
+    const cells = line.split('\t');
+    const id = String(cells[0] ?? '').trim();
+    if (id) depths.set(id, cells.slice(3, 7).filter(c => c.trim()).length);
+  }
+  return depths;
+}
+
+// Deepest tier with candidates >= minscore, walking up from min(depth, parts.length).
+// Returns { candidates, reason } where reason explains an empty match.
+function matchCandidates(dicts, parts) {
+  let reason = 'no_dictionary_entry';
+  for (let tier = Math.min(argv.depth, parts.length); tier >= 1; tier--) {
+    const candidates = dicts.get(tier)?.get(pathKey(parts.slice(0, tier)));
+    if (!candidates) continue;
+    const kept = candidates.filter(c => Number(c.score) >= argv.minscore);
+    if (kept.length > 0) return { candidates: kept, reason: null };
+    reason = 'below_minscore';
+  }
+  return { candidates: [], reason };
+}
+
 // --- main ---
 async function main() {
   if (!fileExistsSync(INPUT)) {
     console.error(`Missing input file: ${INPUT}`);
     process.exit(1);
   }
-  if (!fileExistsSync(DICT_FILE)) {
-    console.error(`Missing dictionary file: ${DICT_FILE}`);
-    process.exit(1);
+
+  const dicts = new Map(); // tier -> dictionary
+  for (let tier = 1; tier <= argv.depth; tier++) {
+    const file = dictionaryFileForTier(tier);
+    if (!fileExistsSync(file)) {
+      console.error(`Missing dictionary file: ${file}`);
+      process.exit(1);
+    }
+    dicts.set(tier, loadDictionary(file, tier));
   }
+  const depths = loadTaxonomyDepths(TAXONOMY);
 
   ensureDirSync(INTERMEDIATE_DIR);
 
-  const dict = loadDictionary(DICT_FILE);
-
-  const stream = fs.createReadStream(INPUT, ENCODING);
-  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
-
-  let lineNo = 0;
-  let indexes = null;
-
   // Aggregate category score by IO, Date, iabId, iabName
-  const agg = new Map(); // key = IO\u0001Date\u0001iabId\u0001iabName -> sum score
-
-  for await (const rawLine of rl) {
-    const line = rawLine ?? '';
-
-    if (isFooterLine(argv.provider, line)) {
-      console.log('Detected DV summary footer; stopping further processing.');
-      break;
-    }
-    if (!line.trim()) continue;
-
-    lineNo += 1;
-    const cols = splitCSV(line, DELIM);
-
-    if (lineNo === 1) {
-      indexes = resolveIndexes(line);
-      const maybeCategory = splitCSV(line, DELIM)[indexes.category];
-      if (String(maybeCategory).trim().toLowerCase() === 'category') continue; // skip header
+  const agg = new Map(); // key = IO\u0001Date\u0001iabId\u0001iabName -> { score, clickScore }
+  const iabTiers = new Map(); // iabId -> IAB depth
+
+  const quality = createQualityReport('infer:iabScoring', { filter: FILTER });
+  const q = quality.source('categories.csv');
+
+  for await (const row of readCsvRows(INPUT, { schema: SCHEMAS.categories, provider: PROVIDER })) {
+    const { insertionOrder, category: catRaw, impressions } = row;
+    const clicks = Number.isFinite(row.clicks) ? row.clicks : 0;
+
+    if (!FILTER.matchesIo(insertionOrder)) continue;
+    if (isIoLevelDate(row.date)) { q.skip('io_level_row', row.lineNo, impressions); continue; }
+    const date = parseDate(row.date, `${INPUT}:${row.lineNo}`);
+    if (!FILTER.matchesDate(date)) continue;
+    if (catRaw == null) { q.skip('missing_category', row.lineNo, impressions); continue; }
+    if (!Number.isFinite(impressions)) { q.skip('non_numeric_impressions', row.lineNo); continue; }
+
+    // Category path -> tiers
+    const parts = PROVIDER.splitCategory(catRaw, SPLIT);
+    if (parts.length === 0) { q.skip('empty_category_path', row.lineNo, impressions); continue; }
+
+    const { candidates, reason } = matchCandidates(dicts, parts);
+    // A weak match is the --minscore threshold at work, not bad data: noted, not lost
+    if (candidates.length === 0) {
+      if (reason === 'below_minscore') q.note(reason, row.lineNo, impressions);
+      else q.skip(reason, row.lineNo, impressions);
+      continue;
     }
-
-    const get = (i) => cols[i];
-
-    const insertionOrder = get(indexes.insertionOrder);
-    const date = get(indexes.date);
-    const catRaw = get(indexes.category);
-    const impressionsRaw = get(indexes.impressions);
-
-    if (catRaw == null || impressionsRaw == null) continue;
-
-    const impressions = Number(String(impressionsRaw).replace(/,/g, '').trim());
-    if (!Number.isFinite(impressions)) continue;
-
-    // Get Tier 1 token
-    const pre = preprocessForProvider(String(catRaw), argv.provider, argv.splitval);
-    const parts = pre.split(argv.splitval).map(normalizePart).filter(Boolean);
-    if (parts.length === 0) continue;
-
-    const tier1 = parts[0];
-    const candidates = dict.get(tier1.toLowerCase());
-    if (!candidates || candidates.length === 0) continue;
+    q.keep(impressions);
 
     for (const c of candidates) {
       const score = Number(c.score);
-      if (!(score >= argv.minscore)) continue;
-
       const iabId = c.id;
       const iabName = c.name;
       const categoryScore = impressions * score;
+      const clickScore = clicks * score;
+      if (!iabTiers.has(iabId)) iabTiers.set(iabId, c.tier ?? depths.get(iabId) ?? null);
 
       const key = [insertionOrder, date, iabId, iabName].join('\u0001');
-      agg.set(key, (agg.get(key) ?? 0) + categoryScore);
+      const cur = agg.get(key) ?? { score: 0, clickScore: 0 };
+      cur.score += categoryScore;
+      cur.clickScore += clickScore;
+      agg.set(key, cur);
     }
   }
+  parseDate.finish();
 
   // Write aggregated JSONL
   const out = fs.createWriteStream(OUT, { encoding: 'utf8' });
-  for (const [key, totalScore] of agg.entries()) {
+  for (const [key, totals] of agg.entries()) {
     const [insertionOrder, date, iabId, iabName] = key.split('\u0001');
     const rec = {
       insertionOrder,
       date,
       iabId,
       iabcategoryName: iabName,
-      iabscore: totalScore
+      iabTier: iabTiers.get(iabId) ?? null,
+      iabscore: totals.score,
+      iabclickscore: totals.clickScore
     };
     out.write(JSON.stringify(rec) + '\n');
   }
   out.end();
 
   console.log(`Wrote ${OUT} (${agg.size} aggregated records)`);
+  const meta = writeFilterMeta(OUT, FILTER);
+  if (meta) console.log(`Wrote ${meta}`);
+  console.log(`Wrote ${quality.write()}`);
 }
 
 main().catch(err => {
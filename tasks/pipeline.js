@@ -0,0 +1,169 @@
+// tasks/pipeline.js
+// Run the ETL chain in dependency order, skipping stages whose inputs did not change.
+//   extract:categories ─┐
+//   infer:ageGender ────┼─> generate:vision
+//   infer:iabScoring ───┘
+// Stage inputs/outputs live in utils/pipeline.js; hashes in intermediate/.pipeline-state.json.
+//
+// Params:
+//   --tiers / --provider        // from applyCommonArgs, forwarded to every stage
+//   --from / --to / --io / --product  // row filters (applyFilterArgs), forwarded to every stage
+//   --depth [1|2|3|4]           // forwarded to infer:iabScoring (default: its own, 1)
+//   --per-day / --group-by / --max-memory / --coverage / --top-properties / --unknown-shares /
+//   --device-buckets / --device-rollup / --parallel   // forwarded to generate:vision when given
+//                               // (default: its own, from config.js)
+//   --from-stage <stage>        // run this stage and everything downstream of it
+//   --only <stage...>           // run only these stages
+//   --force (default false)     // ignore hashes, run every selected stage
+//   --dry-run (default false)   // print what would run
+//   --watch (default false)     // after the run, watch the raw / dictionary inputs and re-run
+//                               // the stages reading a changed file plus their downstream
+//   --debounce <ms> (default config.pipeline.watchDebounceMs ?? 1000)  // quiet time before a re-run
+
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import config from '../config.js';
+import { applyCommonArgs, applyFilterArgs } from '../utils/argumentos.js';
+import { buildStages, downstreamOf, runStages, stageNames, topoSort, watchStages } from '../utils/pipeline.js';
+
+const names = stageNames();
+
+// generate:vision options the pipeline passes through. No defaults here: an option left out
+// is not forwarded, so the stage falls back to its own (config.js) default.
+const VISION_OPTIONS = {
+  'per-day': { type: 'boolean', describe: 'Add byDevicesPerDay and demoPerDay' },
+  'group-by': { type: 'array', string: true, describe: 'Also write roll-up visions per value of these IO attributes' },
+  'max-memory': { type: 'number', describe: 'Aggregation memory budget in MB (0 = no limit)' },
+  coverage: { type: 'boolean', describe: 'Attach a dataCoverage block per product' },
+  'top-properties': { type: 'number', describe: 'keyProperties rows kept before "Other" (0 = all)' },
+  'unknown-shares': { type: 'boolean', describe: 'Add the unknown / identified shares to demo' },
+  'device-buckets': { type: 'string', describe: 'Device table from config.devices.tables' },
+  'device-rollup': { type: 'boolean', describe: 'Move small devices into the largest bucket' },
+  parallel: { type: 'boolean', describe: 'Read the sources in worker threads' }
+};
+
+function withVisionOptions(y) {
+  for (const [name, option] of Object.entries(VISION_OPTIONS)) {
+    y.option(name, { ...option, describe: `${option.describe} (generate:vision)` });
+  }
+  return y;
+}
+
+const argv = applyFilterArgs(applyCommonArgs(withVisionOptions(
+  yargs(hideBin(process.argv))
+    .option('depth', {
+      type: 'number',
+      choices: [1, 2, 3, 4],
+      describe: 'Deepest category tier infer:iabScoring scores'
+    })
+    .option('from-stage', {
+      type: 'string',
+      choices: names,
+      describe: 'Start at this stage (and run everything downstream)'
+    })
+    .option('only', {
+      type: 'array',
+      string: true,
+      choices: names,
+      describe: 'Run only these stages'
+    })
+    .option('force', {
+      type: 'boolean',
+      default: false,
+      describe: 'Run selected stages even if their inputs are unchanged'
+    })
+    .option('dry-run', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print the plan without running anything'
+    })
+    .option('watch', {
+      type: 'boolean',
+      default: false,
+      describe: 'Keep running and re-run the affected stages when input files change'
+    })
+    .option('debounce', {
+      type: 'number',
+      default: config.pipeline?.watchDebounceMs ?? 1000,
+      describe: 'Milliseconds without changes before a watch re-run'
+    })
+    .conflicts('from-stage', 'only')
+    .check((args) => {
+      if (!(args.debounce >= 0)) throw new Error('debounce must be >= 0');
+      return true;
+    })
+)))
+  .strict()
+  .argv;
+
+function summary({ ran, skipped }) {
+  const verb = argv.dryRun ? 'would run' : 'ran';
+  return `${ran.length} ${verb} [${ran.join(', ')}], ${skipped.length} skipped [${skipped.join(', ')}]`;
+}
+
+// Re-runs the stages affected by the files changed since the last run, once `--debounce` ms
+// pass without further events (utils/pipeline.js watchStages). Ctrl+C closes the watchers.
+function watch(stages, runOptions) {
+  const watcher = watchStages(stages, {
+    debounce: argv.debounce,
+    selected: runOptions.selected,
+    async rerun(affected, files) {
+      const started = Date.now();
+      const result = await runStages(stages, { ...runOptions, selected: affected });
+      const seconds = ((Date.now() - started) / 1000).toFixed(1);
+      const changed = files.map(f => path.basename(f)).join(', ');
+      console.log(`\n[watch] ${changed} changed -> ${summary(result)}${result.failed ? `, failed at ${result.failed}` : ''} (${seconds}s)`);
+    }
+  });
+  process.once('SIGINT', () => {
+    watcher.close();
+    console.log('\n[watch] stopped');
+  });
+  console.log(`\n[watch] watching ${watcher.dirs.join(', ')} (Ctrl+C to stop)`);
+}
+
+// Options every stage accepts: common args plus the row filters that were given.
+function forwardedArgs() {
+  const args = ['--provider', argv.provider, '--tiers', String(argv.tiers)];
+  for (const key of ['from', 'to', 'io']) if (argv[key] != null) args.push(`--${key}`, argv[key]);
+  if (argv.product?.length) args.push('--product', ...argv.product);
+  return args;
+}
+
+// The generate:vision options that were given, as CLI args (--no-<name> for a false boolean).
+function visionArgs() {
+  const args = [];
+  for (const [name, { type }] of Object.entries(VISION_OPTIONS)) {
+    const value = argv[name];
+    if (value == null) continue;
+    if (type === 'boolean') args.push(value ? `--${name}` : `--no-${name}`);
+    else if (type === 'array') args.push(`--${name}`, ...value.map(String));
+    else args.push(`--${name}`, String(value));
+  }
+  return args;
+}
+
+async function main() {
+  const stages = topoSort(buildStages({ tiers: argv.tiers, depth: argv.depth, visionArgs: visionArgs() }));
+  let selected = null;
+  if (argv.only?.length) selected = new Set(argv.only);
+  else if (argv.fromStage) selected = downstreamOf(stages, [argv.fromStage]);
+
+  const args = forwardedArgs();
+  const runOptions = { selected, args, force: argv.force, dryRun: argv.dryRun };
+  const result = await runStages(stages, runOptions);
+
+  console.log(`\nPipeline: ${summary(result)}`);
+  if (argv.watch) {
+    // --force applies to the first run; later runs still skip stages whose inputs hash the same.
+    watch(stages, { ...runOptions, force: false });
+    return;
+  }
+  if (result.failed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
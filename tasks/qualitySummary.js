@@ -0,0 +1,93 @@
+// tasks/qualitySummary.js
+// Summarize ./intermediate/quality.*.json (written by every task) and fail when the share
+// of impressions lost in any source exceeds the threshold. Noted rows (utils/quality.js
+// note(): unknown gender, low IAB scores, ...) are listed but never fail the check.
+// Params:
+//   --max-loss <pct 0..100> (default config.quality.maxLossPct ?? 5)
+//   --json (default false)  // print the summary as JSON instead of a table
+
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import config from '../config.js';
+import { readQualityReports } from '../utils/quality.js';
+
+const argv = yargs(hideBin(process.argv))
+  .option('max-loss', {
+    type: 'number',
+    default: config.quality?.maxLossPct ?? 5,
+    describe: 'Maximum % of impressions a source may lose before failing'
+  })
+  .option('json', {
+    type: 'boolean',
+    default: false,
+    describe: 'Print the summary as JSON'
+  })
+  .check((args) => {
+    if (!(args.maxLoss >= 0 && args.maxLoss <= 100)) {
+      throw new Error('max-loss must be between 0 and 100');
+    }
+    return true;
+  })
+  .strict()
+  .argv;
+
+function topReasons(reasons, n = 3) {
+  return Object.entries(reasons ?? {})
+    .sort(([, a], [, b]) => (b.impressions - a.impressions) || (b.rows - a.rows))
+    .slice(0, n)
+    .map(([k, r]) => `${k}=${r.rows}`)
+    .join(', ');
+}
+
+function noted(notes) {
+  return Object.entries(notes ?? {})
+    .map(([k, r]) => `${k}=${r.rows} (${r.impressionsPct}%)`)
+    .join(', ');
+}
+
+function main() {
+  const reports = readQualityReports();
+  if (reports.length === 0) {
+    console.error('No quality reports found in intermediate/. Run the pipeline first.');
+    process.exit(1);
+  }
+
+  const rows = [];
+  for (const { file, report, error } of reports) {
+    if (error) {
+      rows.push({ stage: file, source: '-', error, failed: true });
+      continue;
+    }
+    for (const [source, s] of Object.entries(report.sources ?? {})) {
+      const lostPct = s.impressions?.lostPct ?? 0;
+      rows.push({
+        stage: report.stage,
+        source,
+        rowsRead: s.rows?.read ?? 0,
+        rowsSkipped: s.rows?.skipped ?? 0,
+        lostPct,
+        reasons: topReasons(s.reasons),
+        notes: noted(s.notes),
+        failed: lostPct > argv.maxLoss
+      });
+    }
+  }
+
+  const failed = rows.filter(r => r.failed);
+
+  if (argv.json) {
+    console.log(JSON.stringify({ maxLossPct: argv.maxLoss, failed: failed.length, sources: rows }, null, 2));
+  } else {
+    for (const r of rows) {
+      if (r.error) { console.log(`FAIL ${r.stage}: unreadable report (${r.error})`); continue; }
+      const flag = r.failed ? 'FAIL' : 'ok  ';
+      console.log(`${flag} ${r.stage} ${r.source}: read ${r.rowsRead}, skipped ${r.rowsSkipped}, ` +
+        `impressions lost ${r.lostPct}%${r.reasons ? ` [${r.reasons}]` : ''}${r.notes ? `; noted [${r.notes}]` : ''}`);
+    }
+    console.log(`\n${failed.length} source(s) above ${argv.maxLoss}% impression loss.`);
+  }
+
+  if (failed.length > 0) process.exit(1);
+}
+
+main();
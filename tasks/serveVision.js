@@ -0,0 +1,190 @@
+// tasks/serveVision.js
+// Local read-only HTTP API over the processed visions (node:http), for front-end work
+// against real pipeline output.
+// Params:
+//   --port <n> (default config.serve.port ?? 8080; 0 = any free port)
+//   --host <host> (default config.serve.host ?? '127.0.0.1')
+//   --dir <dir> (default config.paths.processed ?? './processed')  // *.vision.json
+// Endpoints (GET, JSON):
+//   /products                       [{ productId, file, dates: { from, to }, members?, meta? }]
+//   /products/:productId            { data: { products: { [productId]: vision } , meta? } }
+//   /products/:productId/:section   the section, e.g. perDay, byDevices,
+//                                   contentTaxonomy.audience_distribution
+// Query parameters (product and section endpoints):
+//   from, to   YYYY-MM-DD, inclusive: perDay, byDevicesPerDay, demoPerDay, campaign_delivery,
+//              campaign_interactions
+//   top        keyProperties and audience_distribution (campaign_* per date) cut to N entries
+// Responses carry a strong ETag (If-None-Match -> 304). The index is rebuilt when files in
+// the directory change (fs.watch, debounced).
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import config from '../config.js';
+import { ensureDirSync } from '../utils/fs.js';
+import { isIsoDate } from '../utils/dates.js';
+import { readVisions, sectionOf, sliceProduct, PROCESSED_DIR } from '../utils/vision.js';
+
+const argv = yargs(hideBin(process.argv))
+  .option('port', {
+    type: 'number',
+    default: config.serve?.port ?? 8080,
+    describe: 'Port to listen on'
+  })
+  .option('host', {
+    type: 'string',
+    default: config.serve?.host ?? '127.0.0.1',
+    describe: 'Interface to bind'
+  })
+  .option('dir', {
+    type: 'string',
+    default: PROCESSED_DIR,
+    describe: 'Directory with the *.vision.json files'
+  })
+  .strict()
+  .argv;
+
+const RELOAD_DEBOUNCE_MS = 200;
+
+// productId -> { productId, file, meta, product }
+let index = new Map();
+
+function loadIndex() {
+  const next = new Map();
+  for (const vision of readVisions(argv.dir)) {
+    for (const { productId, product } of vision.products) {
+      if (next.has(productId)) console.warn(`${productId} is in ${next.get(productId).file} and ${vision.file}; serving the latter.`);
+      next.set(productId, { productId, file: vision.file, meta: vision.meta, product });
+    }
+  }
+  index = next;
+  console.log(`Loaded ${index.size} product(s) from ${argv.dir}`);
+}
+
+function reloadSafely() {
+  try {
+    loadIndex();
+  } catch (err) {
+    // A file caught mid-write: keep the previous index, the next change event reloads.
+    console.error(`Reload failed, keeping the previous index: ${err.message}`);
+  }
+}
+
+function watchDir() {
+  let timer = null;
+  fs.watch(argv.dir, () => {
+    clearTimeout(timer);
+    timer = setTimeout(reloadSafely, RELOAD_DEBOUNCE_MS);
+  });
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function dateRange(list = []) {
+  const dates = list.map(d => d.analytic_date).filter(Boolean).sort();
+  return { from: dates[0] ?? null, to: dates[dates.length - 1] ?? null };
+}
+
+function sliceOptions(query) {
+  const from = query.get('from');
+  const to = query.get('to');
+  const top = query.get('top');
+  for (const [name, v] of [['from', from], ['to', to]]) {
+    if (v != null && !isIsoDate(v)) {
+      throw new HttpError(400, `${name} must be a YYYY-MM-DD date`);
+    }
+  }
+  if (from && to && from > to) throw new HttpError(400, 'from must not be after to');
+  if (top != null && !/^\d+$/.test(top)) throw new HttpError(400, 'top must be a non-negative integer');
+  return { from, to, top: top != null ? Number(top) : null };
+}
+
+function productEntry(productId) {
+  const entry = index.get(productId);
+  if (!entry) throw new HttpError(404, `Unknown product: ${productId}`);
+  return entry;
+}
+
+// '/products/a%2Fb' -> ['products', 'a/b']; a malformed escape ('%E0%A4%A') is a 400.
+function pathSegments(pathname) {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    if (err instanceof URIError) throw new HttpError(400, `Malformed URL encoding: ${pathname}`);
+    throw err;
+  }
+}
+
+// [segments, query] -> JSON body
+function route(segments, query) {
+  if (segments[0] !== 'products' || segments.length > 3) throw new HttpError(404, 'Not found');
+
+  if (segments.length === 1) {
+    return [...index.values()].map(({ productId, file, meta, product }) => ({
+      productId,
+      file,
+      dates: dateRange(product.perDay),
+      ...(product.members ? { members: product.members } : {}),
+      ...(meta ? { meta } : {})
+    }));
+  }
+
+  const { productId, meta, product } = productEntry(segments[1]);
+  const sliced = sliceProduct(product, sliceOptions(query));
+  if (segments.length === 2) {
+    return { data: { products: { [productId]: sliced }, ...(meta ? { meta } : {}) } };
+  }
+
+  const value = sectionOf(sliced, segments[2]);
+  if (value === undefined) throw new HttpError(404, `Unknown section for ${productId}: ${segments[2]}`);
+  return value;
+}
+
+function send(req, res, status, body) {
+  const payload = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(payload).digest('hex')}"`;
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-cache',
+    ETag: etag
+  };
+  if (status === 200 && req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { ...headers, 'Content-Length': Buffer.byteLength(payload) });
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+function handle(req, res) {
+  try {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Only GET is supported');
+    const url = new URL(req.url, 'http://localhost');
+    send(req, res, 200, route(pathSegments(url.pathname), url.searchParams));
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) console.error(err);
+    send(req, res, status, { error: status === 500 ? 'Internal error' : err.message });
+  }
+}
+
+function main() {
+  ensureDirSync(argv.dir);
+  loadIndex();
+  watchDir();
+  const server = http.createServer(handle).listen(argv.port, argv.host, () => {
+    // --port 0 picks a free port: print the one bound
+    console.log(`Serving ${argv.dir} on http://${argv.host}:${server.address().port}/products`);
+  });
+}
+
+main();
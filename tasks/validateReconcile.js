@@ -0,0 +1,86 @@
+// tasks/validateReconcile.js
+// Check that categories.csv, genders.csv, device.csv and unique.csv agree on impressions
+// and clicks per Insertion Order and per day (see utils/reconcile.js).
+// Params:
+//   --provider [dv|ttd|zed] (default 'dv')
+//   --tolerance <pct 0..100> (default config.reconcile.tolerancePct ?? 0.5)
+//   --json (default false)  // print the full result as JSON
+//   --from / --to / --io / --product  // row filters (utils/filters.js)
+// Output:
+//   ./intermediate/reconcile.json
+//     { generatedAt, filter, tolerancePct, reference, sources, missingSources,
+//       insertionOrders: [{ insertionOrder, days, discrepantDays, withinTolerance, totals }],
+//       discrepancies: [{ insertionOrder, date|null, metric, deltaPct?, values?, missing? }] }
+// Exit code 1 when there is any discrepancy above the tolerance.
+
+import path from 'node:path';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import config from '../config.js';
+import { ensureDirSync, safeWriteLinesAtomicSync } from '../utils/fs.js';
+import { dataProvider, applyFilterArgs } from '../utils/argumentos.js';
+import { createRowFilter } from '../utils/filters.js';
+import { collectTotals, reconcile, DEFAULT_TOLERANCE_PCT } from '../utils/reconcile.js';
+
+const argv = applyFilterArgs(yargs(hideBin(process.argv)))
+  .option(dataProvider.name, dataProvider.config)
+  .option('tolerance', {
+    type: 'number',
+    default: DEFAULT_TOLERANCE_PCT,
+    describe: 'Allowed spread between sources, in % of the largest value'
+  })
+  .option('json', {
+    type: 'boolean',
+    default: false,
+    describe: 'Print the result as JSON'
+  })
+  .check((args) => {
+    if (!(args.tolerance >= 0 && args.tolerance <= 100)) {
+      throw new Error('tolerance must be between 0 and 100');
+    }
+    return true;
+  })
+  .strict()
+  .argv;
+
+const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
+const OUT = path.join(INTERMEDIATE_DIR, 'reconcile.json');
+
+function describe(d) {
+  const where = `${d.insertionOrder} ${d.date ?? '(all dates)'}`;
+  if (d.metric === 'rows') return `${where}: no rows in ${d.missing.join(', ')}`;
+  const values = Object.entries(d.values).map(([s, v]) => `${s}=${v}`).join(', ');
+  return `${where}: ${d.metric} differ by ${d.deltaPct}% (${values})`;
+}
+
+async function main() {
+  const filter = createRowFilter(argv);
+  const sums = await collectTotals({ provider: argv.provider, filter });
+  if (Object.keys(sums).length === 0) {
+    console.error('No raw files found to reconcile.');
+    process.exit(1);
+  }
+
+  const result = reconcile(sums, { tolerancePct: argv.tolerance });
+  ensureDirSync(INTERMEDIATE_DIR);
+  safeWriteLinesAtomicSync(OUT, [JSON.stringify({ generatedAt: new Date().toISOString(), filter: filter.describe(), ...result }, null, 2)]);
+
+  if (argv.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    if (result.missingSources.length) console.log(`Missing sources: ${result.missingSources.join(', ')}`);
+    for (const io of result.insertionOrders) {
+      const flag = io.withinTolerance ? 'ok  ' : 'FAIL';
+      console.log(`${flag} ${io.insertionOrder}: ${io.days} day(s), ${io.discrepantDays} with discrepancies`);
+    }
+    for (const d of result.discrepancies) console.log(`  ${describe(d)}`);
+    console.log(`\n${result.discrepancies.length} discrepancy(ies) above ${argv.tolerance}%. Wrote ${OUT}`);
+  }
+
+  if (result.discrepancies.length > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
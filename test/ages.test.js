@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createAgeExpander, loadPopulationTable, parseAgeToken, slotToBin, TOP_SLOT } from '../utils/ages.js';
+
+test('the shipped population table loads, bands spread over their years', () => {
+  const weights = loadPopulationTable();
+  assert.ok(Math.abs(weights.get(21) - 21654 / 5) < 1e-9);
+  assert.ok(weights.get(TOP_SLOT) > 0);
+});
+
+test('only the proportional strategy needs two passes', () => {
+  assert.equal(createAgeExpander('uniform').twoPass, false);
+  assert.equal(createAgeExpander('population').twoPass, false);
+  assert.equal(createAgeExpander('proportional').twoPass, true);
+});
+
+test('population expansion keeps the impressions of a range', () => {
+  const expander = createAgeExpander('population');
+  const parts = [...expander.expand('io', parseAgeToken('21+'), 1000)];
+  const total = parts.reduce((s, p) => s + p.impressions, 0);
+  assert.ok(Math.abs(total - 1000) < 1e-9);
+  assert.ok(parts.some(p => slotToBin(p.slot) === '+65'));
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { parseCsvRecords, readCsvRows, SCHEMAS } from '../utils/csv.js';
+
+async function records(chunks) {
+  const out = [];
+  for await (const r of parseCsvRecords(Readable.from(chunks))) out.push(r);
+  return out;
+}
+
+test('quoted fields keep delimiters, escaped quotes and newlines', async () => {
+  const rows = await records(['a,"b,c","say ""hi"""\r\n', '"multi\nline",x,y\n']);
+  assert.deepEqual(rows, [
+    { cells: ['a', 'b,c', 'say "hi"'], lineNo: 1 },
+    { cells: ['multi\nline', 'x', 'y'], lineNo: 2 }
+  ]);
+});
+
+test('lineNo points at the physical line where a record starts', async () => {
+  const rows = await records(['"one\ntwo\nthree",1\n', 'next,2']);
+  assert.deepEqual(rows.map(r => r.lineNo), [1, 4]);
+});
+
+test('BOM, quotes and CRLF split across chunks', async () => {
+  const rows = await records(['\ufeff"a"', '"b",c\r', '\nd,"e', '"\n']);
+  assert.deepEqual(rows.map(r => r.cells), [['a"b', 'c'], ['d', 'e']]);
+});
+
+test('readCsvRows maps headers in any order and stops at the DV footer', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-test-'));
+  const file = path.join(dir, 'device.csv');
+  fs.writeFileSync(file, [
+    'Date,Insertion Order,Device Type,Impressions,Clicks,Viewable Impressions',
+    '2025-01-01,"IO, ""quoted""\nname (123)",Smart Phone,"1,200",3,900',
+    '',
+    'Report Time:,2025-01-02',
+    '2025-01-02,ignored,Desktop,1,1,1'
+  ].join('\n'));
+  try {
+    const rows = [];
+    for await (const row of readCsvRows(file, { schema: SCHEMAS.device })) rows.push(row);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].insertionOrder, 'IO, "quoted"\nname (123)');
+    assert.equal(rows[0].date, '2025-01-01');
+    assert.equal(rows[0].impressions, 1200);
+    assert.equal(rows[0].lineNo, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
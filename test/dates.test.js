@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDateParser, isIsoDate } from '../utils/dates.js';
+
+test('ISO and provider formats parse to YYYY-MM-DD, time of day dropped', () => {
+  const parse = createDateParser({ provider: 'dv' });
+  assert.equal(parse('2025/08/13 00:00:00'), '2025-08-13');
+  assert.equal(parse('2025-08-13T10:00:00Z'), '2025-08-13');
+  assert.equal(parse('8/13/2025 12:00 AM'), '2025-08-13');
+  parse.finish();
+});
+
+test('a value matching no format is rejected with its location', () => {
+  const parse = createDateParser({ provider: 'dv' });
+  assert.throws(() => parse('13/08/2025', 'genders.csv:7'), /^Error: genders\.csv:7: Unrecognized date "13\/08\/2025"/);
+});
+
+test('a value read differently by two configured formats is ambiguous', () => {
+  const parse = createDateParser({ formats: ['MM/DD/YYYY', 'DD/MM/YYYY'] });
+  assert.throws(() => parse('03/04/2025'), /Ambiguous date "03\/04\/2025"/);
+  assert.equal(parse('03/13/2025'), '2025-03-13');
+});
+
+test('default formats: a file whose dates all read both ways fails at finish()', () => {
+  const parse = createDateParser({ provider: 'dv' });
+  // A DD/MM export covering 1-4 March: every value is also a valid MM/DD date.
+  for (let d = 1; d <= 4; d++) parse(`0${d}/03/2025`, `unique.csv:${d + 1}`);
+  assert.throws(() => parse.finish(), /unique\.csv:2: Every day\/month date .*"01\/03\/2025".*config\.dates\.formats/);
+});
+
+test('default formats: one date only the expected order accepts settles the file', () => {
+  const parse = createDateParser({ provider: 'dv' });
+  assert.equal(parse('03/04/2025', 'device.csv:2'), '2025-03-04');
+  assert.equal(parse('03/13/2025', 'device.csv:3'), '2025-03-13');
+  assert.equal(parse('03/04/2025', 'unique.csv:2'), '2025-03-04');
+  assert.equal(parse('2025-03-05', 'unique.csv:3'), '2025-03-05');
+  assert.throws(() => parse.finish(), /^Error: unique\.csv:2: /);
+});
+
+test('explicit formats are trusted', () => {
+  const parse = createDateParser({ formats: ['DD/MM/YYYY'] });
+  assert.equal(parse('03/04/2025', 'x.csv:2'), '2025-04-03');
+  parse.finish();
+});
+
+test('isIsoDate rejects days Date.parse rolls over', () => {
+  assert.equal(isIsoDate('2024-02-29'), true);
+  assert.equal(isIsoDate('2025-02-29'), false);
+  assert.equal(isIsoDate('2025-02-30'), false);
+  assert.equal(isIsoDate('2025-04-31'), false);
+  assert.equal(isIsoDate('2025-8-1'), false);
+});
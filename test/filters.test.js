@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import yargs from 'yargs';
+import { createRowFilter, ioMatcher } from '../utils/filters.js';
+import { applyFilterArgs } from '../utils/argumentos.js';
+
+const IO = '107766.10_US_BRAND_NHTSA_Labor_Day_Impaired_2025_Aug_Std_Video';
+
+test('globs match the whole name', () => {
+  assert.equal(ioMatcher('107766.*').test(IO), true);
+  assert.equal(ioMatcher('107766').test(IO), false);
+  assert.equal(ioMatcher('1077??.10_*').test(IO), true);
+});
+
+test('/regex/g and /regex/y match every row, not every other one', () => {
+  for (const pattern of ['/nhtsa/gi', '/^107766/y']) {
+    const re = ioMatcher(pattern);
+    assert.equal(re.global || re.sticky, false, pattern);
+    assert.deepEqual([1, 2, 3].map(() => re.test(IO)), [true, true, true], pattern);
+  }
+  const filter = createRowFilter({ io: '/brand/gi' });
+  assert.deepEqual([IO, IO, IO].map(io => filter.matchesIo(io)), [true, true, true]);
+});
+
+test('date range is inclusive', () => {
+  const filter = createRowFilter({ from: '2025-08-13', to: '2025-08-14' });
+  assert.deepEqual(['2025-08-12', '2025-08-13', '2025-08-14', '2025-08-15'].map(d => filter.matchesDate(d)), [false, true, true, false]);
+});
+
+test('--from/--to take real calendar days only, in order', () => {
+  const parse = (args) => applyFilterArgs(yargs(args)).exitProcess(false).fail((msg, err) => { throw err ?? new Error(msg); }).parse();
+  assert.equal(parse(['--from', '2024-02-29', '--to', '2024-03-01']).from, '2024-02-29');
+  for (const bad of [['--from', '2025-02-30'], ['--to', '2025-13-01'], ['--from', '2025-8-1'], ['--from', '2025-08-14', '--to', '2025-08-13']]) {
+    assert.throws(() => parse(bad), /--from|--to/, bad.join(' '));
+  }
+});
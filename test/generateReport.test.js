@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const property = (placement_domain, impressions, type = 'url') => ({ placement_domain, type, impressions, clicks: 1 });
+
+test('one standalone document per product, key properties titled by the rows shown', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const vision = {
+    data: {
+      products: {
+        p1: { totals: { analytic_impressions: 30 }, keyProperties: [property('a.com', 20), property('b.com', 10)] },
+        'p/2': { totals: { analytic_impressions: 9 }, keyProperties: [property('c.com', 5), property('Other', 4, 'other')] }
+      }
+    }
+  };
+  fs.writeFileSync(path.join(dir, 'legacy.vision.json'), JSON.stringify(vision));
+
+  const res = spawnSync(process.execPath, ['tasks/generateReport.js', '--in', dir, '--out', dir], { encoding: 'utf8', timeout: 30000 });
+  assert.equal(res.status, 0, res.stderr);
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort(), ['legacy.p%2F2.html', 'legacy.p1.html']);
+
+  const p1 = fs.readFileSync(path.join(dir, 'legacy.p1.html'), 'utf8');
+  assert.equal(p1.match(/<!DOCTYPE html>/g).length, 1);
+  assert.equal(p1.match(/<\/html>/g).length, 1);
+  assert.match(p1, /<h2>Top 2 key properties<\/h2>/);
+  const p2 = fs.readFileSync(path.join(dir, 'legacy.p%2F2.html'), 'utf8');
+  assert.match(p2, /<h2>Top 1 key property<\/h2>/);
+});
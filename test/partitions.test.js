@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPartitionStore, frame, readFrames } from '../utils/partitions.js';
+
+// Per-date sums of `v`: one entry per new date, floating-point additions in arrival order.
+const init = () => new Map();
+const add = (state, row) => {
+  const had = state.has(row.date);
+  state.set(row.date, (state.get(row.date) ?? 0) + row.v);
+  return had ? 0 : 1;
+};
+
+const ROWS = Array.from({ length: 2000 }, (_, i) => ({
+  key: `p${(i * 7) % 13}`,
+  date: `2025-08-${String(1 + (i % 28)).padStart(2, '0')}`,
+  v: 0.1 * ((i * 31) % 17) + 1e-9 * i
+}));
+
+async function aggregate(options) {
+  const store = createPartitionStore({ init, add, ...options });
+  for (const { key, ...row } of ROWS) store.add(key, row);
+  const out = [];
+  for await (const [key, state] of store.drain()) out.push([key, [...state.entries()]]);
+  return { out, stats: store.stats() };
+}
+
+test('spilled partitions drain to the in-memory result', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'partitions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const memory = await aggregate({});
+  const spilled = await aggregate({ maxBytes: 2048, dir, entryBytes: 64 });
+  assert.equal(memory.stats.spilled, 0);
+  assert.ok(spilled.stats.spilled > 0 && spilled.stats.spilledRows > 0);
+  assert.deepEqual(spilled.out, memory.out);
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('entryBytes scales the estimate the budget is checked against', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'partitions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // 13 partitions x 28 dates: 364 entries
+  const cheap = await aggregate({ maxBytes: 364 * 16 * 2, dir, entryBytes: 16 });
+  const dear = await aggregate({ maxBytes: 364 * 16 * 2, dir, entryBytes: 64 });
+  assert.equal(cheap.stats.spilled, 0);
+  assert.ok(dear.stats.spilled > 0);
+});
+
+test('frames round-trip Maps and doubles', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'partitions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const records = [['p1', { days: new Map([['2025-08-13', 0.1 + 0.2]]) }], ['p2', { days: new Map() }]];
+  const file = path.join(dir, 'x.fragments');
+  fs.writeFileSync(file, Buffer.concat(records.map(frame)));
+  const read = [];
+  for await (const r of readFrames(file)) read.push(r);
+  assert.deepEqual(read, records);
+});
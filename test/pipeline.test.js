@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { affectedBy, buildStages, stageArgs, watchStages } from '../utils/pipeline.js';
+
+const DICT = './dictionary';
+const iab = (stages) => stages.find(s => s.name === 'infer:iabScoring');
+
+test('infer:iabScoring reads the taxonomy and the dictionaries up to --depth', () => {
+  const shallow = iab(buildStages()).inputs.map(p => path.normalize(p));
+  assert.ok(shallow.includes(path.normalize(`${DICT}/taxonomy.tsv`)));
+  assert.ok(!shallow.some(p => p.includes('tier2_')));
+
+  const deep = iab(buildStages({ depth: 3 }));
+  const inputs = deep.inputs.map(p => path.basename(p));
+  for (const f of ['tier2_iab_mapping_top10_unique.jsonl', 'tier2_iab_mapping_top10.jsonl', 'tier3_iab_mapping_top10_unique.jsonl']) {
+    assert.ok(inputs.includes(f), f);
+  }
+  assert.ok(!inputs.some(f => f.startsWith('tier4_')));
+  assert.deepEqual(stageArgs(deep, ['--provider', 'dv']), ['--provider', 'dv', '--depth', '3']);
+});
+
+test('a taxonomy change re-runs scoring and everything downstream', () => {
+  const stages = buildStages();
+  assert.deepEqual([...affectedBy(stages, [`${DICT}/taxonomy.tsv`])].sort(), ['generate:vision', 'infer:iabScoring']);
+});
+
+test('generate:vision options given to the pipeline reach the stage, others keep its defaults', () => {
+  const plan = (...args) => {
+    const res = spawnSync(process.execPath, ['tasks/pipeline.js', '--dry-run', '--force', '--only', 'generate:vision', ...args], { encoding: 'utf8', timeout: 30000 });
+    assert.equal(res.status, 0, res.stderr);
+    return res.stdout.match(/generate:vision: would run.*\(node (.*)\)/)[1];
+  };
+  assert.equal(plan(), 'tasks/generateVisionJson.js --provider dv --tiers 1');
+  assert.equal(
+    plan('--per-day', '--group-by', 'advertiser', 'campaign', '--max-memory', '64', '--no-parallel', '--coverage'),
+    'tasks/generateVisionJson.js --provider dv --tiers 1 --per-day --group-by advertiser campaign --max-memory 64 --coverage --no-parallel'
+  );
+});
+
+test('--watch re-runs the stages reading a changed file and their downstream, then closes', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const file = (f) => path.join(root, f);
+  for (const d of ['raw', 'dict', 'out']) fs.mkdirSync(file(d));
+  for (const f of ['raw/a.csv', 'raw/b.csv', 'dict/d.tsv']) fs.writeFileSync(file(f), 'x\n');
+  const stages = [
+    { name: 'a', script: 'a.js', inputs: [file('raw/a.csv')], outputs: [file('out/a.json')] },
+    { name: 'b', script: 'b.js', inputs: [file('raw/b.csv')], outputs: [file('out/b.json')] },
+    { name: 'c', script: 'c.js', inputs: [file('out/a.json'), file('out/b.json'), file('dict/d.tsv')], outputs: [file('out/c')] }
+  ];
+
+  const reruns = [];
+  let notify = null;
+  const watcher = watchStages(stages, {
+    debounce: 50,
+    rerun(affected, files) {
+      reruns.push([[...affected].sort(), files.map(f => path.basename(f))]);
+      notify?.();
+    }
+  });
+  assert.deepEqual(watcher.dirs, [file('dict'), file('raw')]);
+
+  const changed = new Promise((resolve) => { notify = resolve; });
+  fs.writeFileSync(file('raw/b.csv'), 'y\n');
+  await changed;
+  assert.deepEqual(reruns, [[['b', 'c'], ['b.csv']]]);
+
+  watcher.close();
+  fs.writeFileSync(file('raw/a.csv'), 'y\n');
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(reruns.length, 1);
+});
@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPropertyNormalizer, loadAppLookup } from '../utils/properties.js';
+
+test('the shipped app lookup loads, comments and header skipped', () => {
+  const { byId, byName } = loadAppLookup();
+  assert.equal(byId.get('com.spotify.music'), 'Spotify');
+  assert.equal(byId.get('324684580'), 'Spotify');
+  assert.ok(![...byId.keys()].some(id => id.startsWith('#') || id === 'appid'));
+  assert.ok(byName.has('candy crush saga'));
+});
+
+test('a missing app lookup leaves apps named by their ID', () => {
+  const normalize = createPropertyNormalizer({ appsFile: './dictionary/does-not-exist.csv' });
+  assert.deepEqual(normalize('id324684580'), { key: 'app:324684580', type: 'app', name: '324684580', appId: '324684580' });
+  assert.equal(normalize('https://www.Example.com/path?x=1').key, 'site:example.com');
+});
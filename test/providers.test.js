@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider } from '../utils/providers/index.js';
+
+test('ttd footer: summary rows end the data', () => {
+  const ttd = getProvider('ttd');
+  assert.equal(ttd.isFooter(['Total', '', '', '1,234,567', '890']), true);
+  assert.equal(ttd.isFooter(['Grand Total:', '', '12.5%', '$1,234.50']), true);
+  assert.equal(ttd.isFooter(['  total  ']), true);
+});
+
+test('ttd footer: IOs named "Total..." are data', () => {
+  const ttd = getProvider('ttd');
+  assert.equal(ttd.isFooter(['Total Brand Awareness (123)', '01/02/2025', 'Desktop', '100', '2']), false);
+  assert.equal(ttd.isFooter(['Totally Fresh Q1', '2025-01-02', '100']), false);
+  assert.equal(ttd.isFooter(['Total', '2025-01-02', 'Desktop', '100', '2']), false);
+});
+
+test('dv footer: Report Time line', () => {
+  const dv = getProvider('dv');
+  assert.equal(dv.isFooter(['Report Time:', '2025/01/02 10:00']), true);
+  assert.equal(dv.isFooter(['Reporting IO (1)', '2025/01/02']), false);
+});
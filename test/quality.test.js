@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createQualityReport } from '../utils/quality.js';
+
+test('skipped rows are losses, noted rows are not', () => {
+  const report = createQualityReport('test');
+  const q = report.source('genders.csv');
+  q.keep(600);
+  q.note('gender_unknown', 3, 300);
+  q.skip('non_numeric_impressions', 4, 100);
+  const s = report.toJSON().sources['genders.csv'];
+  assert.deepEqual(s.rows, { read: 3, kept: 2, skipped: 1 });
+  assert.deepEqual(s.impressions, { read: 1000, kept: 900, lost: 100, lostPct: 10 });
+  assert.deepEqual(s.notes, { gender_unknown: { rows: 1, impressions: 300, impressionsPct: 30, sampleLines: [3] } });
+});
+
+test('merge() carries notes from a worker snapshot', () => {
+  const worker = createQualityReport('test');
+  worker.source('x').note('below_minscore', 7, 50);
+  const main = createQualityReport('test');
+  main.source('x').note('below_minscore', 2, 50);
+  main.merge(worker.snapshot());
+  assert.deepEqual(main.toJSON().sources.x.notes.below_minscore, { rows: 2, impressions: 100, impressionsPct: 100, sampleLines: [2, 7] });
+});
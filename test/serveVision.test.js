@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { sectionOf } from '../utils/vision.js';
+
+const VISION = {
+  data: {
+    products: {
+      '107766.10': {
+        totals: { analytic_impressions: 300 },
+        perDay: [
+          { analytic_date: '2025-08-13', analytic_impressions: 100 },
+          { analytic_date: '2025-08-14', analytic_impressions: 200 }
+        ]
+      }
+    }
+  }
+};
+
+// Starts serve:vision on a free port over a temp directory; stopped by its pid in after().
+async function startServer(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-test-'));
+  fs.writeFileSync(path.join(dir, '107766.10.vision.json'), JSON.stringify(VISION));
+  const child = spawn(process.execPath, ['tasks/serveVision.js', '--port', '0', '--dir', dir], { stdio: ['ignore', 'pipe', 'inherit'] });
+  t.after(() => {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = await new Promise((resolve, reject) => {
+    let out = '';
+    child.stdout.on('data', (chunk) => {
+      out += chunk;
+      const m = out.match(/on (http:\/\/\S+)\/products/);
+      if (m) resolve(m[1]);
+    });
+    child.once('exit', code => reject(new Error(`serve:vision exited with ${code}`)));
+  });
+  return (p, init) => fetch(`${base}${p}`, init);
+}
+
+test('serve:vision status codes', async (t) => {
+  const get = await startServer(t);
+
+  let res = await get('/products/107766.10/perDay?from=2025-08-14');
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), [{ analytic_date: '2025-08-14', analytic_impressions: 200 }]);
+
+  for (const p of ['/products/107766.10/constructor', '/products/107766.10/__proto__', '/products/107766.10/totals.toString', '/products/nope', '/nope']) {
+    res = await get(p);
+    assert.equal(res.status, 404, p);
+    assert.ok((await res.json()).error, p);
+  }
+
+  for (const p of ['/products/%E0%A4%A', '/products/107766.10/perDay?from=2025-13-01', '/products/107766.10?top=-1']) {
+    res = await get(p);
+    assert.equal(res.status, 400, p);
+    assert.ok((await res.json()).error, p);
+  }
+
+  res = await get('/products/107766.10');
+  const etag = res.headers.get('etag');
+  res = await get('/products/107766.10', { headers: { 'If-None-Match': etag } });
+  assert.equal(res.status, 304);
+});
+
+test('sectionOf ignores inherited properties', () => {
+  const product = VISION.data.products['107766.10'];
+  assert.equal(sectionOf(product, 'totals'), product.totals);
+  assert.equal(sectionOf(product, 'constructor'), undefined);
+  assert.equal(sectionOf(product, 'hasOwnProperty'), undefined);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffProduct } from '../utils/visionDiff.js';
+
+function day(date, impressions, clicks, extra = {}) {
+  return {
+    analytic_date: date,
+    analytic_impressions: impressions,
+    analytic_clicks: clicks,
+    analytic_ctr: Number(((clicks / impressions) * 100).toFixed(4)),
+    ...extra
+  };
+}
+
+test('multi-IO product: entries of a date are summed, IO order does not matter', () => {
+  const ioA = day('2025-08-13', 1000, 10);
+  const ioB = day('2025-08-13', 3000, 60);
+  const d = diffProduct({ perDay: [ioA, ioB] }, { perDay: [ioB, ioA] });
+  assert.deepEqual(d.perDay, { added: [], removed: [], changed: [] });
+  assert.equal(d.exceeded, false);
+});
+
+test('multi-IO product: a change in the first IO of a date is reported', () => {
+  const before = { perDay: [day('2025-08-13', 1000, 10), day('2025-08-13', 3000, 60)] };
+  const after = { perDay: [day('2025-08-13', 2000, 10), day('2025-08-13', 3000, 60)] };
+  const d = diffProduct(before, after);
+  assert.equal(d.perDay.changed.length, 1);
+  const byKey = Object.fromEntries(d.perDay.changed[0].metrics.map(m => [m.key, m]));
+  assert.equal(byKey.analytic_impressions.before, 4000);
+  assert.equal(byKey.analytic_impressions.after, 5000);
+  assert.equal(byKey.analytic_ctr.before, 1.75);
+  assert.equal(byKey.analytic_ctr.after, 1.4);
+  assert.equal(d.exceeded, true);
+});
+
+test('summed viewability and VTR are weighted by impressions and video starts', () => {
+  const before = {
+    perDay: [
+      day('2025-08-13', 1000, 0, { analytic_viewability: 50, analytic_views: 100, analytic_vtr: 50 }),
+      day('2025-08-13', 3000, 0, { analytic_viewability: 70, analytic_views: 300, analytic_vtr: 25 })
+    ]
+  };
+  const after = { perDay: [day('2025-08-13', 4000, 0, { analytic_viewability: 65, analytic_views: 400, analytic_vtr: 28.5714 })] };
+  assert.deepEqual(diffProduct(before, after).perDay.changed, []);
+});
+
+test('added and removed dates exceed the tolerance', () => {
+  const d = diffProduct({ perDay: [day('2025-08-13', 10, 1)] }, { perDay: [day('2025-08-14', 10, 1)] });
+  assert.deepEqual(d.perDay.added, ['2025-08-14']);
+  assert.deepEqual(d.perDay.removed, ['2025-08-13']);
+  assert.equal(d.exceeded, true);
+});
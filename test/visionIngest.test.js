@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import v8 from 'node:v8';
+import vm from 'node:vm';
+import { frame } from '../utils/partitions.js';
+import { encodeRollupValue, fragmentsByTarget, rollupKeyFor } from '../utils/visionIngest.js';
+
+v8.setFlagsFromString('--expose-gc');
+const gc = vm.runInNewContext('gc');
+
+test('roll-up keys of different value tuples never collide', () => {
+  const groupBy = ['campaign', 'audience'];
+  const a = rollupKeyFor('1.1_US_BRAND_ACME_X_Y_2025_Aug_Std_Video_Cross_Drug_Z_V1', groupBy);
+  const b = rollupKeyFor('1.2_US_BRAND_ACME_X_2025_Aug_Std_Video_Cross_Drug_Y_Z_V1', groupBy);
+  assert.equal(a, 'rollup:X_Y+Z');
+  assert.equal(b, 'rollup:X+Y_Z');
+});
+
+test('roll-up values are encoded to file-safe text', () => {
+  assert.equal(encodeRollupValue('Labor Day+Q3/(EU)'), 'Labor%20Day%2BQ3%2F%28EU%29');
+  assert.match(encodeRollupValue("a!b'c*d~e"), /^[\w.%-]+$/);
+  assert.equal(rollupKeyFor('1.1_US_BRAND_ACME_X_Y_2025_Aug_Std_Video_Cross_Drug_Z_V1', ['market']), 'rollup:US');
+  assert.equal(rollupKeyFor('not-a-convention-name', ['market']), null);
+});
+
+// A written source result as ingestSource returns it with a spillDir.
+function writtenResult(dir, source, fragments) {
+  const fragmentsFile = path.join(dir, `${source}.fragments`);
+  const fragmentIndex = new Map();
+  let offset = 0;
+  for (const [key, fragment] of fragments) {
+    const record = frame(fragment);
+    fs.appendFileSync(fragmentsFile, record);
+    fragmentIndex.set(key, [offset, record.length]);
+    offset += record.length;
+  }
+  return { source, fragments: null, fragmentsFile, fragmentIndex };
+}
+
+const perDay = (key) => Array.from({ length: 1000 }, (_, i) => ({ analytic_date: `d${i}`, key }));
+
+test('written fragments come back per target, each released before the next is read', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fragments-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const keys = Array.from({ length: 20 }, (_, i) => `p${i}`);
+  const unique = keys.map(key => [key, { perDay: perDay(key), totals: { key } }]);
+  const devices = keys.filter((_, i) => i % 2).reverse().map(key => [key, { byDevices: { Mobile: key } }]);
+
+  const inMemory = [...fragmentsByTarget([
+    { fragments: new Map(unique) },
+    { fragments: new Map(devices) }
+  ])];
+  const results = [writtenResult(dir, 'unique.csv', unique), writtenResult(dir, 'device.csv', devices)];
+  assert.deepEqual([...fragmentsByTarget(results)], inMemory);
+  assert.deepEqual(inMemory.map(([key]) => key), keys);
+  assert.deepEqual(inMemory[1][1].map(f => Object.keys(f)), [['perDay', 'totals'], ['byDevices']]);
+
+  // What the caller drops after writing a target is collectable before the next one is read:
+  // nothing in the iteration keeps earlier targets.
+  const held = [];
+  for (const [, fragments] of fragmentsByTarget(results)) {
+    held.push(new WeakRef(fragments[0]));
+    await new Promise(resolve => setImmediate(resolve));
+    gc();
+    assert.ok(held.slice(0, -1).every(ref => ref.deref() === undefined));
+  }
+  assert.equal(held.length, keys.length);
+});
@@ -0,0 +1,191 @@
+// utils/ages.js
+// Age bins and expansion strategies (config.ages), shared by infer:ageGender and
+// generate:vision.
+//
+// Bins come from ascending edges (lower bounds). With the default [18, 25, 35, 45, 55, 65]:
+//   '-18' (below the first edge), '18-24', '25-34', '35-44', '45-54', '55-64', '+65'.
+// The bin below the first edge is not reported in the vision demo.
+//
+// Raw age tokens are expanded over "slots" before binning: every single year of a closed
+// range ("18-24", "-21" = 0..21), and for open ranges ("21+", "65+") the years up to the
+// last edge plus one open slot for "+{last edge}". Each slot gets a share of the
+// impressions according to the strategy:
+//   uniform       - equal shares
+//   population    - weights from a local population table (config.ages.populationFile)
+//   proportional  - the IO's own distribution, from its closed-range and top-bin rows
+// A token whose slots all weigh 0 under the strategy falls back to uniform.
+
+import fs from 'node:fs';
+import config from '../config.js';
+
+export const AGE_EDGES = config.ages?.edges ?? [18, 25, 35, 45, 55, 65];
+export const AGE_STRATEGY = config.ages?.strategy ?? 'uniform';
+export const AGE_STRATEGIES = ['uniform', 'population', 'proportional'];
+export const POPULATION_FILE = config.ages?.populationFile ?? './dictionary/age_population.csv';
+
+const TOP = AGE_EDGES[AGE_EDGES.length - 1];
+export const TOP_SLOT = 'top'; // open slot: every age >= TOP
+
+if (!AGE_EDGES.length || AGE_EDGES.some((e, i) => !Number.isInteger(e) || e <= 0 || (i > 0 && e <= AGE_EDGES[i - 1]))) {
+  throw new Error(`config.ages.edges must be ascending positive integers, got ${JSON.stringify(AGE_EDGES)}`);
+}
+
+// Labels in ascending order, including the one below the first edge.
+export const AGE_BINS = [
+  `-${AGE_EDGES[0]}`,
+  ...AGE_EDGES.slice(0, -1).map((e, i) => `${e}-${AGE_EDGES[i + 1] - 1}`),
+  `+${TOP}`
+];
+// Bins reported in the vision demo (all but the one below the first edge).
+export const REPORTED_AGE_BINS = AGE_BINS.slice(1);
+// Label for age tokens that cannot be binned ('Unknown', 'Undetermined', ...): kept unexpanded.
+export const UNKNOWN_AGE = 'unknown';
+
+// '18-24' -> 'age_18_24', '+65' -> 'age_65'
+export function demoAgeField(label) {
+  return `age_${String(label).replace(/^\+/, '').replace(/\W+/g, '_')}`;
+}
+
+// Normalizes a binned label from the intermediate ('65+' is accepted for '+65').
+export function normalizeBinLabel(label) {
+  const s = String(label ?? '').trim();
+  const m = s.match(/^(\d+)\+$/);
+  return m ? `+${m[1]}` : s;
+}
+
+export function slotToBin(slot) {
+  if (slot === TOP_SLOT) return `+${TOP}`;
+  if (slot < AGE_EDGES[0]) return AGE_BINS[0];
+  for (let i = AGE_EDGES.length - 1; i >= 0; i--) {
+    if (slot >= AGE_EDGES[i]) return AGE_BINS[i + 1];
+  }
+  return AGE_BINS[0];
+}
+
+// ---- Tokens ----
+// { type: 'range', start, end } | { type: 'open', start } | { type: 'unknown', raw }
+export function parseAgeToken(ageStr) {
+  const s = String(ageStr).trim();
+  if (!s) return { type: 'unknown' };
+
+  // '-21' / '<=21' / '<21' cover 0..21 (the upper year included, as DV reports them)
+  let m = s.match(/^(?:-|<=?)\s*(\d{1,3})$/);
+  if (m) return { type: 'range', start: 0, end: Number(m[1]) };
+  m = s.match(/^(?:(\d{1,3})\s*\+|>=?\s*(\d{1,3}))$/);
+  if (m) return { type: 'open', start: Number(m[1] ?? m[2]) };
+
+  m = s.match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (m) {
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    if (a <= b) return { type: 'range', start: a, end: b };
+  }
+  return { type: 'unknown', raw: s };
+}
+
+// Slots covered by a token: single years, plus TOP_SLOT for open ranges.
+export function tokenSlots(token) {
+  if (token.type === 'range') {
+    const slots = [];
+    for (let y = token.start; y <= token.end; y++) slots.push(y);
+    return slots;
+  }
+  if (token.type === 'open') {
+    const slots = [];
+    for (let y = token.start; y < TOP; y++) slots.push(y);
+    slots.push(TOP_SLOT);
+    return slots;
+  }
+  return [];
+}
+
+// Closed ranges and the open top bin itself are "known" (they do not straddle the
+// question the expansion answers); broad open ranges like "21+" are not.
+export function isKnownRange(token) {
+  return token.type === 'range' || (token.type === 'open' && token.start >= TOP);
+}
+
+// ---- Population table ----
+// CSV/TSV lines `age,weight`; age is a year ("34"), a band ("35-39", weight split evenly
+// over its years) or open ("85+"). Header, '#' comment and unparseable lines are skipped.
+// Ships as dictionary/age_population.csv (US 2020 bands, approximate).
+export function loadPopulationTable(file = POPULATION_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Population table not found: ${file} (config.ages.populationFile)`);
+  }
+  const weights = new Map(); // slot -> weight
+  const add = (age, w) => {
+    const slot = age >= TOP ? TOP_SLOT : age;
+    weights.set(slot, (weights.get(slot) ?? 0) + w);
+  };
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (line.trimStart().startsWith('#')) continue;
+    const [ageRaw, weightRaw] = line.split(/[,\t;]/).map(c => c?.trim());
+    const w = Number(weightRaw);
+    if (!ageRaw || !weightRaw || !Number.isFinite(w)) continue;
+    const token = parseAgeToken(ageRaw);
+    if (token.type === 'range') {
+      const years = token.end - token.start + 1;
+      for (let y = token.start; y <= token.end; y++) add(y, w / years);
+    } else if (token.type === 'open') {
+      if (token.start < TOP) {
+        throw new Error(`Population table ${file}: open age "${ageRaw}" is below the top bin (${TOP})`);
+      }
+      add(TOP, w);
+    } else if (/^\d{1,3}$/.test(ageRaw)) {
+      add(Number(ageRaw), w);
+    }
+  }
+  return weights;
+}
+
+// ---- Strategies ----
+// createAgeExpander(strategy) -> { strategy, twoPass, observe(io, token, impressions), expand(io, token, impressions) }
+//   twoPass: true when expand() needs every row observed first (proportional); otherwise each
+//            row can be expanded as it is read
+//   observe: feeds the IO distribution (proportional; no-op otherwise)
+//   expand:  yields { slot, impressions }
+export function createAgeExpander(strategy = AGE_STRATEGY) {
+  if (!AGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown age strategy "${strategy}" (${AGE_STRATEGIES.join(' | ')})`);
+  }
+  const population = strategy === 'population' ? loadPopulationTable() : null;
+  const ioDensity = new Map(); // io -> Map(slot -> impressions)
+
+  function weightOf(io, slot) {
+    if (strategy === 'population') return population.get(slot) ?? 0;
+    if (strategy === 'proportional') return ioDensity.get(io)?.get(slot) ?? 0;
+    return 1;
+  }
+
+  return {
+    strategy,
+    twoPass: strategy === 'proportional',
+
+    observe(io, token, impressions) {
+      if (strategy !== 'proportional' || !isKnownRange(token)) return;
+      const slots = tokenSlots(token);
+      const density = ioDensity.get(io) ?? new Map();
+      for (const slot of slots) density.set(slot, (density.get(slot) ?? 0) + impressions / slots.length);
+      ioDensity.set(io, density);
+    },
+
+    *expand(io, token, impressions) {
+      const slots = tokenSlots(token);
+      if (slots.length === 0) return;
+      // Known ranges are spread uniformly under the proportional strategy: they are the
+      // distribution itself.
+      const own = strategy === 'proportional' && isKnownRange(token);
+      const weights = strategy === 'uniform' || own ? null : slots.map(slot => weightOf(io, slot));
+      const sum = weights ? weights.reduce((a, b) => a + b, 0) : 0;
+      if (!(sum > 0)) {
+        const per = impressions / slots.length;
+        for (const slot of slots) yield { slot, impressions: per };
+        return;
+      }
+      for (let i = 0; i < slots.length; i++) {
+        if (weights[i] > 0) yield { slot: slots[i], impressions: impressions * (weights[i] / sum) };
+      }
+    }
+  };
+}
@@ -1,6 +1,10 @@
 // utils/argumentos.js
 // Reusable yargs option descriptors
 
+import { providerIds } from './providers/index.js';
+import { ioMatcher } from './filters.js';
+import { isIsoDate } from './dates.js';
+
 export const categoryTier = {
   name: 'tiers',
   config: {
@@ -16,11 +20,72 @@ export const dataProvider = {
   config: {
     type: 'string',
     default: 'dv',
-    choices: ['dv', 'ttd', 'zed'],
-    describe: 'Source provider behavior'
+    choices: providerIds(),
+    describe: 'Source provider adapter (see utils/providers)'
+  }
+};
+
+// Row filters (utils/filters.js)
+
+export const dateFrom = {
+  name: 'from',
+  config: {
+    type: 'string',
+    describe: 'Only rows on or after this date (YYYY-MM-DD)'
+  }
+};
+
+export const dateTo = {
+  name: 'to',
+  config: {
+    type: 'string',
+    describe: 'Only rows on or before this date (YYYY-MM-DD)'
   }
 };
 
+export const insertionOrderPattern = {
+  name: 'io',
+  config: {
+    type: 'string',
+    describe: 'Only Insertion Orders matching this glob (* ?) or /regex/flags'
+  }
+};
+
+export const productFilter = {
+  name: 'product',
+  config: {
+    type: 'array',
+    string: true,
+    describe: 'Only these productIds'
+  }
+};
+
+// Helper to apply the row filter options (--from, --to, --io, --product)
+export function applyFilterArgs(y) {
+  return y
+    .option(dateFrom.name, dateFrom.config)
+    .option(dateTo.name, dateTo.config)
+    .option(insertionOrderPattern.name, insertionOrderPattern.config)
+    .option(productFilter.name, productFilter.config)
+    .check((args) => {
+      for (const key of [dateFrom.name, dateTo.name]) {
+        const v = args[key];
+        if (v != null && !isIsoDate(v)) {
+          throw new Error(`--${key} must be a date as YYYY-MM-DD`);
+        }
+      }
+      if (args.from && args.to && args.from > args.to) {
+        throw new Error('--from must not be after --to');
+      }
+      if (args.io) {
+        try { ioMatcher(args.io); } catch (err) {
+          throw new Error(`--io is not a valid regex: ${err.message}`);
+        }
+      }
+      return true;
+    });
+}
+
 // Helper to apply common options to a yargs instance
 export function applyCommonArgs(y) {
   return y
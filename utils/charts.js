@@ -0,0 +1,81 @@
+// utils/charts.js
+// Inline SVG charts and HTML helpers for generate:report. Output is plain markup (no
+// scripts, no external resources), so a report opens offline and survives email.
+//
+//   escapeHtml(value)                      -> text safe for HTML content and attributes
+//   formatNumber(value, unit?)             -> '12,345' / '0.42%' ('–' when missing)
+//   lineChart(points, { title, unit })     -> <svg>, points: [{ x: 'YYYY-MM-DD', y }]
+//   barChart(items, { title, unit, max })  -> <svg>, items: [{ label, value }]
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function formatNumber(v, unit = '') {
+  if (v == null || v === '') return '–';
+  if (typeof v !== 'number') return escapeHtml(v);
+  const digits = Number.isInteger(v) ? 0 : 2;
+  return `${v.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}${unit}`;
+}
+
+const COLOR = '#2b6cb0';
+const MUTED = '#718096';
+
+export function lineChart(points, { title = '', unit = '', width = 480, height = 180 } = {}) {
+  const pad = { top: 24, right: 12, bottom: 28, left: 56 };
+  const w = width - pad.left - pad.right;
+  const h = height - pad.top - pad.bottom;
+  const ys = points.map(p => p.y).filter(Number.isFinite);
+  const max = ys.length ? Math.max(...ys) : 0;
+  const min = ys.length ? Math.min(0, ...ys) : 0;
+  const span = max - min || 1;
+  const x = (i) => pad.left + (points.length > 1 ? (i / (points.length - 1)) * w : w / 2);
+  const y = (v) => pad.top + h - ((v - min) / span) * h;
+
+  const path = points.map((p, i) => `${x(i).toFixed(1)},${y(p.y ?? 0).toFixed(1)}`).join(' ');
+  const dots = points.map((p, i) =>
+    `<circle cx="${x(i).toFixed(1)}" cy="${y(p.y ?? 0).toFixed(1)}" r="2.5" fill="${COLOR}"><title>${escapeHtml(p.x)}: ${formatNumber(p.y, unit)}</title></circle>`).join('');
+  const first = points[0]?.x ?? '';
+  const last = points[points.length - 1]?.x ?? '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(title)}">
+  <text x="${pad.left}" y="14" font-size="12" font-weight="bold">${escapeHtml(title)}</text>
+  <line x1="${pad.left}" y1="${pad.top + h}" x2="${pad.left + w}" y2="${pad.top + h}" stroke="${MUTED}"/>
+  <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + h}" stroke="${MUTED}"/>
+  <text x="${pad.left - 4}" y="${pad.top + 4}" font-size="10" text-anchor="end" fill="${MUTED}">${formatNumber(max, unit)}</text>
+  <text x="${pad.left - 4}" y="${pad.top + h}" font-size="10" text-anchor="end" fill="${MUTED}">${formatNumber(min, unit)}</text>
+  <text x="${pad.left}" y="${height - 8}" font-size="10" fill="${MUTED}">${escapeHtml(first)}</text>
+  <text x="${pad.left + w}" y="${height - 8}" font-size="10" text-anchor="end" fill="${MUTED}">${escapeHtml(last)}</text>
+  ${points.length ? `<polyline points="${path}" fill="none" stroke="${COLOR}" stroke-width="2"/>` : ''}
+  ${dots}
+</svg>`;
+}
+
+// Horizontal bars; `max` defaults to the largest value (100 for shares reads better: pass it).
+export function barChart(items, { title = '', unit = '', max = null, width = 480 } = {}) {
+  const row = 22;
+  const labelW = 170;
+  const valueW = 70;
+  const top = title ? 24 : 4;
+  const height = top + items.length * row + 4;
+  const scaleMax = max ?? Math.max(0, ...items.map(i => i.value ?? 0));
+  const barW = width - labelW - valueW;
+
+  const bars = items.map((item, i) => {
+    const yPos = top + i * row;
+    const len = scaleMax > 0 ? Math.max(0, ((item.value ?? 0) / scaleMax) * barW) : 0;
+    return `<text x="${labelW - 6}" y="${yPos + 14}" font-size="11" text-anchor="end">${escapeHtml(item.label)}</text>
+  <rect x="${labelW}" y="${yPos + 3}" width="${len.toFixed(1)}" height="${row - 8}" fill="${COLOR}"/>
+  <text x="${labelW + len + 4}" y="${yPos + 14}" font-size="11" fill="${MUTED}">${formatNumber(item.value, unit)}</text>`;
+  }).join('\n  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="${escapeHtml(title)}">
+  ${title ? `<text x="0" y="14" font-size="12" font-weight="bold">${escapeHtml(title)}</text>` : ''}
+  ${bars}
+</svg>`;
+}
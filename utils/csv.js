@@ -0,0 +1,246 @@
+// utils/csv.js
+// Streaming RFC 4180 CSV reader shared by every task.
+//   - Quoted fields may contain delimiters, escaped quotes ("") and newlines.
+//   - A UTF-8 BOM on the first header is stripped.
+//   - Trailing delimiters (empty cells past the last known column) are ignored.
+//   - Provider rules come from the adapter (utils/providers): extra header aliases,
+//     preamble records skipped before the header, and the footer record that ends
+//     the data (DV: first cell starts with "Report Time").
+//
+// Rows are yielded as plain objects keyed by the canonical column names of a
+// schema (see SCHEMAS), with numeric columns already parsed. Each row also carries
+// `lineNo` (1-based physical line where the record starts).
+
+import fs from 'node:fs';
+import config from '../config.js';
+import { getProvider } from './providers/index.js';
+
+const DEFAULT_DELIM = config.csv?.delimiter ?? ',';
+const DEFAULT_ENCODING = config.csv?.encoding ?? 'utf8';
+
+// Canonical columns per raw source.
+//   headers: lower-cased header labels that identify the column
+//   index:   fallback position when the file has no recognizable header
+//   type:    'string' (trimmed) | 'number' (thousands separators removed; NaN if not numeric)
+function col(headers, index, type = 'string') {
+  return { headers, index, type };
+}
+
+function withConfigIndexes(source, schema) {
+  const mapped = config.mapping?.[source] ?? {};
+  for (const [key, def] of Object.entries(schema)) {
+    if (Number.isInteger(mapped[key])) def.index = mapped[key];
+  }
+  return schema;
+}
+
+export const SCHEMAS = {
+  categories: withConfigIndexes('categories', {
+    insertionOrder: col(['insertion order'], 0),
+    date: col(['date'], 1),
+    category: col(['category'], 2),
+    appUrl: col(['app/url'], 3),
+    impressions: col(['impressions'], 4, 'number'),
+    clicks: col(['clicks'], 5, 'number'),
+    viewableImpressions: col(['viewable impressions'], 6, 'number')
+  }),
+  genders: withConfigIndexes('genders', {
+    insertionOrder: col(['insertion order'], 0),
+    date: col(['date'], 1),
+    gender: col(['gender'], 2),
+    age: col(['age'], 3),
+    impressions: col(['impressions'], 4, 'number'),
+    clicks: col(['clicks'], 5, 'number')
+  }),
+  device: withConfigIndexes('device', {
+    insertionOrder: col(['insertion order'], 0),
+    date: col(['date'], 1),
+    deviceType: col(['device type'], 2),
+    impressions: col(['impressions'], 3, 'number'),
+    clicks: col(['clicks'], 4, 'number'),
+    viewableImpressions: col(['viewable impressions'], 5, 'number')
+  }),
+  unique: withConfigIndexes('unique', {
+    insertionOrder: col(['insertion order'], 0),
+    date: col(['date'], 1),
+    impressions: col(['impressions'], 2, 'number'),
+    clicks: col(['clicks'], 3, 'number'),
+    viewableImpressions: col(['viewable impressions'], 4, 'number'),
+    uniqueImpressions: col(['unique impression', 'unique impressions'], 5, 'number'),
+    videoStarts: col(['video_starts'], 6, 'number'),
+    videoViews25: col(['video_views25'], 7, 'number'),
+    videoViews50: col(['video_views50'], 8, 'number'),
+    videoViews75: col(['video_views75'], 9, 'number'),
+    videoViews100: col(['video_views100'], 10, 'number')
+  })
+};
+
+// Schema plus numeric columns located only by header label (no fallback position),
+// keyed by the label as given. Used for client-specific columns declared in config.
+export function withExtraColumns(schema, labels) {
+  const out = { ...schema };
+  for (const label of labels) {
+    if (!(label in out)) out[label] = col([String(label).trim().toLowerCase()], -1, 'number');
+  }
+  return out;
+}
+
+export function parseNumber(x) {
+  if (x == null) return Number.NaN;
+  const s = String(x).replace(/,/g, '').trim();
+  return s ? Number(s) : Number.NaN;
+}
+
+// Rows without a usable date ('' / Total / All / Lifetime) are IO-level summary rows
+// (e.g. the de-duplicated reach of the whole IO in unique.csv), not days.
+export function isIoLevelDate(d) {
+  const s = String(d ?? '').trim();
+  return !s || /^(total|all|all dates|lifetime)$/i.test(s);
+}
+
+function isBlankRecord(cells) {
+  return cells.every(c => !c.trim());
+}
+
+// Low-level tokenizer: yields { cells, lineNo } per record from a text stream.
+export async function* parseCsvRecords(stream, delimiter = DEFAULT_DELIM) {
+  let cells = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // saw '"' inside a quoted field: escape or closing quote
+  let skipLF = false;       // previous char was '\r'
+  let first = true;
+  let line = 1;
+  let recordLine = 1;
+
+  for await (const chunk of stream) {
+    let i = 0;
+    if (first) {
+      first = false;
+      if (chunk.charCodeAt(0) === 0xfeff) i = 1;
+    }
+
+    for (; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (skipLF) {
+        skipLF = false;
+        if (ch === '\n') continue;
+      }
+
+      if (inQuotes) {
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') { field += '"'; continue; }
+          inQuotes = false; // closing quote; fall through to unquoted handling
+        } else {
+          if (ch === '"') { quotePending = true; continue; }
+          if (ch === '\n') line += 1;
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === delimiter) {
+        cells.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        cells.push(field);
+        yield { cells, lineNo: recordLine };
+        cells = [];
+        field = '';
+        line += 1;
+        recordLine = line;
+        if (ch === '\r') skipLF = true;
+      } else if (ch === '"' && field === '') {
+        inQuotes = true;
+      } else {
+        // Unquoted field (a stray quote mid-field is kept literally)
+        let j = i + 1;
+        while (j < chunk.length) {
+          const c = chunk[j];
+          if (c === delimiter || c === '\n' || c === '\r') break;
+          j++;
+        }
+        field += chunk.slice(i, j);
+        i = j - 1;
+      }
+    }
+  }
+
+  if (field || cells.length) {
+    cells.push(field);
+    yield { cells, lineNo: recordLine };
+  }
+}
+
+// Schema with the provider's header aliases merged in.
+function schemaForProvider(schema, adapter) {
+  const out = {};
+  for (const [key, def] of Object.entries(schema)) {
+    const extra = (adapter.headers?.[key] ?? []).map(h => h.toLowerCase());
+    out[key] = { ...def, headers: [...def.headers, ...extra] };
+  }
+  return out;
+}
+
+function resolveIndexes(schema, headerCells) {
+  const idx = {};
+  for (const [key, def] of Object.entries(schema)) idx[key] = def.index;
+  if (!headerCells) return idx;
+
+  const headers = headerCells.map(h => String(h).trim().toLowerCase());
+  for (const [key, def] of Object.entries(schema)) {
+    const pos = headers.findIndex(h => def.headers.includes(h));
+    if (pos >= 0) idx[key] = pos;
+  }
+  return idx;
+}
+
+function looksLikeHeader(schema, cells) {
+  const headers = cells.map(h => String(h).trim().toLowerCase());
+  return Object.values(schema).some(def => headers.some(h => def.headers.includes(h)));
+}
+
+function toRow(schema, idx, cells, lineNo) {
+  const row = { lineNo };
+  for (const [key, def] of Object.entries(schema)) {
+    const raw = cells[idx[key]];
+    if (raw == null) { row[key] = def.type === 'number' ? Number.NaN : undefined; continue; }
+    row[key] = def.type === 'number' ? parseNumber(raw) : String(raw).trim();
+  }
+  return row;
+}
+
+// Read a CSV file and yield typed rows keyed by the canonical columns of `schema`.
+// Options:
+//   provider  - provider id or adapter (footer, preamble and header aliases)
+//   delimiter - defaults to config.csv.delimiter
+//   encoding  - defaults to config.csv.encoding
+export async function* readCsvRows(filePath, { schema, provider = 'dv', delimiter = DEFAULT_DELIM, encoding = DEFAULT_ENCODING } = {}) {
+  const adapter = getProvider(provider);
+  const cols = schemaForProvider(schema, adapter);
+  const stream = fs.createReadStream(filePath, encoding);
+  let idx = null;
+
+  try {
+    for await (const { cells, lineNo } of parseCsvRecords(stream, delimiter)) {
+      if (adapter.isFooter(cells)) {
+        console.log(`Detected ${adapter.id} summary footer in ${filePath}; stopping further processing.`);
+        break;
+      }
+      if (isBlankRecord(cells)) continue;
+
+      if (idx === null) {
+        const header = looksLikeHeader(cols, cells);
+        if (!header && adapter.isPreamble(cells)) continue;
+        idx = resolveIndexes(cols, header ? cells : null);
+        if (header) continue;
+      }
+
+      yield toRow(cols, idx, cells, lineNo);
+    }
+  } finally {
+    stream.destroy();
+  }
+}
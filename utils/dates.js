@@ -0,0 +1,135 @@
+// utils/dates.js
+// Shared date parser. Every intermediate stores dates as ISO `YYYY-MM-DD`.
+//
+// Formats are tokens YYYY, MM, DD joined by a separator; '/', '-' and '.' are
+// interchangeable and months/days may have 1 or 2 digits. A trailing time of day
+// ("2025/08/13 00:00:00", "2025-08-13T00:00:00Z", "... +02:00") is accepted and dropped
+// (the calendar date is kept as written, no timezone shift).
+//
+// ISO (YYYY-MM-DD, so also DV's YYYY/MM/DD) is always accepted. The other formats come
+// from config.dates.formats when set, else from the provider adapter (`dateFormats`).
+//
+// A silently swapped day and month is worse than a failed run, so these throw:
+//   - a value matching no format, e.g. "13/08/2025" for MM/DD/YYYY (a DMY export read as MDY);
+//   - a value matching several formats with different results, e.g. "03/04/2025" with both
+//     MM/DD/YYYY and DD/MM/YYYY allowed;
+//   - with the provider's default formats only (config.dates.formats not set): a file whose
+//     day/month dates could all be read either way, e.g. a DD/MM export covering 1-12 March.
+//     One date that only the expected order accepts ("08/13/2025") settles the file. This is
+//     known at the end of the file, so readers call parseDate.finish() after the last row.
+
+import config from '../config.js';
+import { getProvider } from './providers/index.js';
+
+const ISO_FORMAT = 'YYYY-MM-DD';
+const TIME_SUFFIX = '(?:[T\\s]+\\d{1,2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?\\s*(?:[AaPp][Mm])?\\s*(?:Z|[+-]\\d{2}:?\\d{2})?)?';
+
+function compileFormat(format) {
+  const tokens = String(format).toUpperCase().split(/[/.-]/);
+  const valid = tokens.length === 3
+    && [...tokens].sort().join() === 'DD,MM,YYYY';
+  if (!valid) throw new Error(`Invalid date format "${format}" (use YYYY, MM and DD, e.g. DD/MM/YYYY)`);
+
+  const parts = tokens.map(t => (t === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'));
+  return {
+    format,
+    re: new RegExp(`^${parts.join('[/.-]')}${TIME_SUFFIX}$`),
+    order: tokens
+  };
+}
+
+function isValidDay(y, m, d) {
+  if (m < 1 || m > 12 || d < 1) return false;
+  return d <= new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function toIso(y, m, d) {
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Strict YYYY-MM-DD of a real calendar day (CLI and query dates): "2025-02-30" is rejected,
+// where Date.parse would roll it over to March 2.
+export function isIsoDate(value) {
+  const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return Boolean(m) && isValidDay(Number(m[1]), Number(m[2]), Number(m[3]));
+}
+
+// Formats in effect for a provider (config.dates.formats wins), ISO first.
+export function dateFormatsFor(provider) {
+  const formats = config.dates?.formats ?? getProvider(provider).dateFormats ?? [];
+  return [ISO_FORMAT, ...formats.filter(f => f !== ISO_FORMAT)];
+}
+
+// Day and month of a non-ISO match swapped: [other valid reading differs, swap invalid].
+function swapCheck(v) {
+  if (v.DD === v.MM) return [false, false];
+  const valid = isValidDay(v.YYYY, v.DD, v.MM);
+  return [valid, !valid];
+}
+
+// Returns parse(raw, where?) -> 'YYYY-MM-DD'. `where` ("unique.csv:12") is used in error
+// messages and, without its line number, as the file the date belongs to.
+// Results are memoized per raw string. parse.finish() throws when a file only had dates
+// readable both ways (default formats only, see above).
+export function createDateParser({ provider = 'dv', formats } = {}) {
+  const explicit = formats != null || config.dates?.formats != null;
+  formats ??= dateFormatsFor(provider);
+  const compiled = formats.map(compileFormat);
+  const cache = new Map();
+  const files = new Map(); // file -> { settled, ambiguous: { value, where } | null }
+
+  function resolve(s) {
+    const matches = new Map(); // iso -> [format]
+    let ambiguous = false;
+    let settles = false;
+    for (const { format, re, order } of compiled) {
+      const m = s.match(re);
+      if (!m) continue;
+      const v = {};
+      order.forEach((t, i) => { v[t] = Number(m[i + 1]); });
+      if (!isValidDay(v.YYYY, v.MM, v.DD)) continue;
+      const iso = toIso(v.YYYY, v.MM, v.DD);
+      matches.set(iso, [...(matches.get(iso) ?? []), format]);
+      if (format !== ISO_FORMAT) [ambiguous, settles] = swapCheck(v);
+    }
+    if (matches.size === 1) return { iso: [...matches.keys()][0], ambiguous, settles };
+    if (matches.size === 0) return { error: `Unrecognized date "${s}" (expected ${formats.join(' | ')})` };
+    const options = [...matches].map(([iso, f]) => `${f.join('/')} -> ${iso}`).join(', ');
+    return { error: `Ambiguous date "${s}" (${options}); set config.dates.formats to the export's format` };
+  }
+
+  function track(r, s, where) {
+    const file = where.replace(/:\d+$/, '');
+    let f = files.get(file);
+    if (!f) {
+      f = { settled: false, ambiguous: null };
+      files.set(file, f);
+    }
+    if (r.settles) f.settled = true;
+    else if (r.ambiguous && !f.ambiguous) f.ambiguous = { value: s, where };
+  }
+
+  function parseDate(raw, where = '') {
+    const s = String(raw ?? '').trim();
+    let r = cache.get(s);
+    if (!r) {
+      r = resolve(s);
+      cache.set(s, r);
+    }
+    if (r.error) throw new Error(where ? `${where}: ${r.error}` : r.error);
+    if (!explicit && (r.ambiguous || r.settles)) track(r, s, where);
+    return r.iso;
+  }
+
+  parseDate.finish = function finish() {
+    for (const f of files.values()) {
+      if (f.settled || !f.ambiguous) continue;
+      const { value, where } = f.ambiguous;
+      const error = `Every day/month date of the file reads both as month/day and day/month (e.g. "${value}"); `
+        + "set config.dates.formats to the export's format, e.g. ['MM/DD/YYYY'] or ['DD/MM/YYYY']";
+      throw new Error(where ? `${where}: ${error}` : error);
+    }
+  };
+
+  return parseDate;
+}
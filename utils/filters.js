@@ -0,0 +1,81 @@
+// utils/filters.js
+// Row filters shared by every task (options from applyFilterArgs in utils/argumentos.js):
+//   --from / --to   inclusive ISO date range (YYYY-MM-DD), compared on the parsed row date
+//   --io            Insertion Order glob ('*', '?'; whole name) or /regex/flags
+//   --product       one or more productIds (see utils/naming.js)
+//
+// The selected filter is recorded with the output: intermediates get a sidecar
+// `{output}.meta.json` ({ filter }), removed again by an unfiltered run; the vision
+// JSON gets data.meta.filter.
+
+import fs from 'node:fs';
+import { safeWriteLinesAtomicSync } from './fs.js';
+import { productIdFromInsertionOrder } from './naming.js';
+
+function globToRegExp(glob) {
+  const body = String(glob)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${body}$`);
+}
+
+// '/.../flags' -> RegExp, anything else is a glob. The g and y flags are dropped: they make
+// test() resume from lastIndex, so consecutive rows would match or not depending on the last one.
+export function ioMatcher(pattern) {
+  const m = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  return m ? new RegExp(m[1], m[2].replace(/[gy]/g, '')) : globToRegExp(pattern);
+}
+
+// Filter from parsed CLI args. `active` is false when no option was given.
+export function createRowFilter(argv = {}) {
+  const from = argv.from ?? null;
+  const to = argv.to ?? null;
+  const io = argv.io ?? null;
+  const products = argv.product?.length ? argv.product.map(String) : null;
+  const ioRe = io ? ioMatcher(io) : null;
+  const productSet = products ? new Set(products) : null;
+
+  return {
+    active: Boolean(from || to || io || products),
+    hasDateRange: Boolean(from || to),
+
+    // Recorded in outputs; null when inactive.
+    describe() {
+      if (!this.active) return null;
+      return { from, to, io, product: products };
+    },
+
+    matchesIo(insertionOrder) {
+      if (ioRe && !ioRe.test(String(insertionOrder ?? ''))) return false;
+      if (productSet && !productSet.has(productIdFromInsertionOrder(insertionOrder))) return false;
+      return true;
+    },
+
+    // `isoDate` is YYYY-MM-DD (utils/dates.js), so string comparison is chronological.
+    matchesDate(isoDate) {
+      if (from && isoDate < from) return false;
+      if (to && isoDate > to) return false;
+      return true;
+    },
+
+    matches(insertionOrder, isoDate) {
+      return this.matchesIo(insertionOrder) && (isoDate == null || this.matchesDate(isoDate));
+    }
+  };
+}
+
+export function filterMetaFileFor(outFile) {
+  return `${outFile}.meta.json`;
+}
+
+// Sidecar for an intermediate: written when the filter is active, removed otherwise.
+export function writeFilterMeta(outFile, filter) {
+  const file = filterMetaFileFor(outFile);
+  if (filter.active) {
+    safeWriteLinesAtomicSync(file, [JSON.stringify({ filter: filter.describe() }, null, 2)]);
+    return file;
+  }
+  fs.rmSync(file, { force: true });
+  return null;
+}
@@ -0,0 +1,87 @@
+// utils/naming.js
+// Insertion Order naming convention (config.naming).
+//
+// An IO name encodes the product and the campaign attributes, e.g.
+//   107766.10_US_BRAND_NHTSA_Labor_Day_Impaired_2025_Aug_Std_Video_Cross_Drug_HMales_18-34_V2
+// The convention is either
+//   - pattern:  a regex (string or RegExp) with named groups, or
+//   - template: '{productId}_{market}_..._{version}' where
+//       {name}        one separator-free token ([^_]+ for '_' separators),
+//       {name*}       one or more tokens (may contain the separator; matched lazily),
+//       {name:regex}  a token matching `regex`.
+// `pattern` wins when both are set. The `productId` group defines the product; without a
+// convention, or when the name does not match (or has no productId group), the product
+// is the text before the first '_'.
+
+import config from '../config.js';
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeClassChar(c) {
+  return c.replace(/[\]\\^-]/g, '\\$&');
+}
+
+// '{a}_{b*}_{c:\\d+}' -> anchored RegExp with named groups
+export function compileTemplate(template) {
+  const placeholder = /\{(\w+)(\*|:((?:[^{}]|\{\d+(?:,\d*)?\})+))?\}/g;
+  const parts = []; // literal strings and placeholder matches, in order
+  let last = 0;
+  for (const m of String(template).matchAll(placeholder)) {
+    parts.push(template.slice(last, m.index), m);
+    last = m.index + m[0].length;
+  }
+  parts.push(template.slice(last));
+
+  // A plain token stops at any separator character used in the template.
+  const seps = new Set(parts.filter(p => typeof p === 'string').join(''));
+  const token = seps.size ? `[^${[...seps].map(escapeClassChar).join('')}]+` : '.+';
+
+  const re = parts.map((p) => {
+    if (typeof p === 'string') return escapeRegExp(p);
+    const [, name, kind, custom] = p;
+    return `(?<${name}>${kind === '*' ? '.+?' : custom ?? token})`;
+  }).join('');
+  return new RegExp(`^${re}$`);
+}
+
+function compileConvention(naming = {}) {
+  if (naming.pattern) return naming.pattern instanceof RegExp ? naming.pattern : new RegExp(naming.pattern);
+  if (naming.template) return compileTemplate(naming.template);
+  return null;
+}
+
+const CONVENTION = compileConvention(config.naming);
+const cache = new Map();
+
+function legacyProductId(io) {
+  const s = String(io || '');
+  const idx = s.indexOf('_');
+  return idx >= 0 ? s.slice(0, idx) : s;
+}
+
+// { insertionOrder, productId, matched, attributes: { market, objective, ... } }
+export function parseInsertionOrder(io) {
+  const insertionOrder = String(io ?? '').trim();
+  let parsed = cache.get(insertionOrder);
+  if (parsed) return parsed;
+
+  const m = CONVENTION ? insertionOrder.match(CONVENTION) : null;
+  const attributes = {};
+  for (const [key, value] of Object.entries(m?.groups ?? {})) {
+    if (key !== 'productId' && value != null) attributes[key] = value;
+  }
+  parsed = {
+    insertionOrder,
+    productId: m?.groups?.productId || legacyProductId(insertionOrder),
+    matched: Boolean(m),
+    attributes
+  };
+  cache.set(insertionOrder, parsed);
+  return parsed;
+}
+
+export function productIdFromInsertionOrder(io) {
+  return parseInsertionOrder(io).productId;
+}
@@ -0,0 +1,144 @@
+// utils/partitions.js
+// Bounded aggregation by partition key (generate:vision: one partition per product or
+// roll-up). Rows are folded into a per-partition state in arrival order. When the
+// estimated size of the states held exceeds `maxBytes`, the largest states are written to
+// `dir` and the later rows of those partitions are appended there instead. Draining a
+// spilled partition restores its state and replays its rows in order, so the result is
+// exactly the in-memory one (same additions, same order).
+//
+//   const store = createPartitionStore({ init, add, maxBytes, dir, entryBytes })
+//     init(key)         -> empty state of a partition
+//     add(state, row)   -> number of entries the row created
+//     entryBytes        -> heap bytes of one entry (default ENTRY_BYTES)
+//   store.add(key, row)
+//   for await (const [key, state] of store.drain()) ...   // first-seen key order, one at a time
+//   store.stats()       -> { partitions, spilled, spilledRows }
+//
+// The size is an estimate (entries x entryBytes), not a heap measurement: `maxBytes` bounds
+// the states being aggregated, not what the caller does with the drained ones.
+// States and rows go through v8.serialize (Maps, Sets and doubles survive unchanged); frame(),
+// readFrames() and readFrameAt() are the same length-prefixed records, for callers writing
+// their own results to disk.
+// maxBytes 0 = no limit (nothing is written).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import v8 from 'node:v8';
+import { ensureDirSync } from './fs.js';
+
+// Middle of the heap cost of one state entry measured for the generate:vision readers
+// (about 170-340 bytes on 64-bit Node 20); readers pass their own figure.
+export const ENTRY_BYTES = 256;
+const FLUSH_BYTES = 1 << 20;
+
+// Length-prefixed v8 record
+export function frame(value) {
+  const body = v8.serialize(value);
+  const head = Buffer.alloc(4);
+  head.writeUInt32LE(body.length, 0);
+  return Buffer.concat([head, body]);
+}
+
+export async function* readFrames(file) {
+  let buf = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(file)) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    while (buf.length >= 4) {
+      const len = buf.readUInt32LE(0);
+      if (buf.length < 4 + len) break;
+      yield v8.deserialize(buf.subarray(4, 4 + len));
+      buf = buf.subarray(4 + len);
+    }
+  }
+  if (buf.length) throw new Error(`Truncated spill file ${file}`);
+}
+
+// The record frame() wrote at `offset` of an open file (`length` = frame length).
+export function readFrameAt(fd, offset, length) {
+  const buf = Buffer.alloc(length);
+  if (fs.readSync(fd, buf, 0, length, offset) !== length) throw new Error(`Truncated spill record at ${offset}`);
+  return v8.deserialize(buf.subarray(4));
+}
+
+export function createPartitionStore({ init, add, maxBytes = 0, dir = null, entryBytes = ENTRY_BYTES }) {
+  if (maxBytes > 0 && !dir) throw new Error('createPartitionStore: maxBytes needs a spill dir');
+  // key -> { id, state, bytes, spilled, pending: Buffer[], pendingBytes }
+  const partitions = new Map();
+  const flushAt = maxBytes > 0 ? Math.min(FLUSH_BYTES, maxBytes / 4) : FLUSH_BYTES;
+  let held = 0; // estimated bytes of the states in memory
+  let pending = 0; // spilled rows not written yet
+  let spilledRows = 0;
+
+  const fileOf = (p, kind) => path.join(dir, `${p.id}.${kind}`);
+
+  function flush(p) {
+    if (!p.pending.length) return;
+    fs.appendFileSync(fileOf(p, 'rows'), Buffer.concat(p.pending));
+    pending -= p.pendingBytes;
+    p.pending = [];
+    p.pendingBytes = 0;
+  }
+
+  function spill(p) {
+    ensureDirSync(dir);
+    fs.writeFileSync(fileOf(p, 'state'), v8.serialize(p.state));
+    held -= p.bytes;
+    p.state = null;
+    p.spilled = true;
+  }
+
+  // Largest states first, down to half the budget so the next spill is not one row away.
+  function enforce() {
+    const inMemory = [...partitions.values()].filter(p => !p.spilled).sort((a, b) => b.bytes - a.bytes);
+    for (const p of inMemory) {
+      if (held <= maxBytes / 2) break;
+      spill(p);
+    }
+  }
+
+  return {
+    add(key, row) {
+      let p = partitions.get(key);
+      if (!p) {
+        p = { id: partitions.size, state: init(key), bytes: entryBytes, spilled: false, pending: [], pendingBytes: 0 };
+        partitions.set(key, p);
+        held += p.bytes;
+      }
+      if (p.spilled) {
+        const f = frame(row);
+        p.pending.push(f);
+        p.pendingBytes += f.length;
+        pending += f.length;
+        spilledRows += 1;
+        if (pending > flushAt) for (const q of partitions.values()) flush(q);
+        return;
+      }
+      const grown = add(p.state, row) * entryBytes;
+      p.bytes += grown;
+      held += grown;
+      if (maxBytes > 0 && held > maxBytes) enforce();
+    },
+
+    async *drain() {
+      for (const [key, p] of partitions.entries()) {
+        let state = p.state;
+        if (p.spilled) {
+          flush(p);
+          state = v8.deserialize(fs.readFileSync(fileOf(p, 'state')));
+          if (fs.existsSync(fileOf(p, 'rows'))) {
+            for await (const row of readFrames(fileOf(p, 'rows'))) add(state, row);
+          }
+          fs.rmSync(fileOf(p, 'state'), { force: true });
+          fs.rmSync(fileOf(p, 'rows'), { force: true });
+        }
+        p.state = null;
+        yield [key, state];
+      }
+    },
+
+    stats() {
+      const spilled = [...partitions.values()].filter(p => p.spilled).length;
+      return { partitions: partitions.size, spilled, spilledRows };
+    }
+  };
+}
@@ -0,0 +1,331 @@
+// utils/pipeline.js
+// Stage graph for the ETL chain + content-hash bookkeeping for incremental runs.
+//
+// Each stage declares the files it reads (inputs) and writes (outputs). A stage depends
+// on every stage that outputs one of its inputs; stages run in dependency order.
+// A stage is skipped when the hash of its inputs (plus its script, config.js and the
+// forwarded CLI args) matches the last successful run and its outputs are unchanged.
+// `args` on a stage are the options only that stage accepts (e.g. --depth).
+
+import { spawnSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import config from '../config.js';
+import { fileExistsSync, safeWriteLinesAtomicSync } from './fs.js';
+import { POPULATION_FILE } from './ages.js';
+import { APPS_FILE } from './properties.js';
+
+const RAW_DIR = config.paths?.raw ?? './rawData';
+const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
+const PROCESSED_DIR = config.paths?.processed ?? './processed';
+const DICT_DIR = config.paths?.dictionary ?? './dictionary';
+
+export const STATE_FILE = path.join(INTERMEDIATE_DIR, '.pipeline-state.json');
+
+// IAB dictionaries infer:iabScoring may load up to `depth`: tier 1 reads the *_unique file,
+// deeper tiers the *_unique file or the plain top10 fallback (both listed, so either appearing
+// counts as a change).
+function iabDictionaries(depth) {
+  const files = [path.join(DICT_DIR, 'tier1_iab_mapping_top10_unique.jsonl')];
+  for (let tier = 2; tier <= depth; tier++) {
+    files.push(
+      path.join(DICT_DIR, `tier${tier}_iab_mapping_top10_unique.jsonl`),
+      path.join(DICT_DIR, `tier${tier}_iab_mapping_top10.jsonl`)
+    );
+  }
+  return files;
+}
+
+// Stage definitions. `opts` carries the forwarded options that change what a stage reads or
+// writes ({ tiers, depth, visionArgs }: visionArgs are generate:vision CLI args).
+export function buildStages(opts = {}) {
+  const tiers = opts.tiers ?? 1;
+  const depth = opts.depth ?? 1;
+  const raw = (f) => path.join(RAW_DIR, f);
+  const mid = (f) => path.join(INTERMEDIATE_DIR, f);
+
+  return [
+    {
+      name: 'extract:categories',
+      script: 'tasks/extractCategories.js',
+      inputs: [raw('categories.csv')],
+      outputs: [mid(`categories.tier${tiers}.jsonl`)]
+    },
+    {
+      name: 'infer:ageGender',
+      script: 'tasks/inferAgeGender.js',
+      inputs: [raw('genders.csv'), raw('gender.csv'), POPULATION_FILE],
+      outputs: [mid('gender.deaggregated.jsonl')]
+    },
+    {
+      name: 'infer:iabScoring',
+      script: 'tasks/inferIabScoring.js',
+      inputs: [raw('categories.csv'), ...iabDictionaries(depth), path.join(DICT_DIR, 'taxonomy.tsv')],
+      outputs: [mid('categoryscored.jsonl')],
+      args: opts.depth ? ['--depth', String(opts.depth)] : []
+    },
+    {
+      name: 'generate:vision',
+      script: 'tasks/generateVisionJson.js',
+      inputs: [
+        raw('device.csv'),
+        raw('unique.csv'),
+        raw('categories.csv'),
+        raw('genders.csv'), // --coverage reconciles the raw gender export too
+        raw('gender.csv'),
+        mid('gender.deaggregated.jsonl'),
+        mid('categoryscored.jsonl'),
+        APPS_FILE
+      ],
+      outputs: [PROCESSED_DIR],
+      args: opts.visionArgs ?? []
+    }
+  ];
+}
+
+export function stageNames(stages = buildStages()) {
+  return stages.map(s => s.name);
+}
+
+// Map<stageName, Set<stageName>> of direct upstream dependencies.
+export function dependencies(stages) {
+  const producer = new Map();
+  for (const s of stages) for (const o of s.outputs) producer.set(path.normalize(o), s.name);
+
+  const deps = new Map();
+  for (const s of stages) {
+    const up = new Set();
+    for (const i of s.inputs) {
+      const p = producer.get(path.normalize(i));
+      if (p && p !== s.name) up.add(p);
+    }
+    deps.set(s.name, up);
+  }
+  return deps;
+}
+
+// Stages in dependency order (declaration order breaks ties). Throws on cycles.
+export function topoSort(stages) {
+  const deps = dependencies(stages);
+  const done = new Set();
+  const visiting = new Set();
+  const order = [];
+  const byName = new Map(stages.map(s => [s.name, s]));
+
+  const visit = (name) => {
+    if (done.has(name)) return;
+    if (visiting.has(name)) throw new Error(`Pipeline dependency cycle at ${name}`);
+    visiting.add(name);
+    for (const d of deps.get(name) ?? []) visit(d);
+    visiting.delete(name);
+    done.add(name);
+    order.push(byName.get(name));
+  };
+  for (const s of stages) visit(s.name);
+  return order;
+}
+
+// `names` plus every stage downstream of them.
+export function downstreamOf(stages, names) {
+  const deps = dependencies(stages);
+  const selected = new Set(names);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const [name, up] of deps.entries()) {
+      if (selected.has(name)) continue;
+      if ([...up].some(u => selected.has(u))) { selected.add(name); grew = true; }
+    }
+  }
+  return selected;
+}
+
+// Stages that read `file` directly.
+export function stagesReading(stages, file) {
+  const target = path.normalize(file);
+  return stages.filter(s => s.inputs.some(i => path.normalize(i) === target)).map(s => s.name);
+}
+
+// Stages to re-run when `files` changed: the ones reading them plus everything downstream.
+export function affectedBy(stages, files) {
+  const direct = new Set();
+  for (const f of files) for (const name of stagesReading(stages, f)) direct.add(name);
+  return direct.size ? downstreamOf(stages, [...direct]) : new Set();
+}
+
+// Directories holding the inputs no stage produces (raw exports, dictionaries): what
+// `pipeline --watch` watches.
+export function sourceDirs(stages) {
+  const produced = new Set(stages.flatMap(s => s.outputs.map(o => path.normalize(o))));
+  const dirs = new Set();
+  for (const s of stages) {
+    for (const i of s.inputs) if (!produced.has(path.normalize(i))) dirs.add(path.dirname(path.normalize(i)));
+  }
+  return [...dirs].sort();
+}
+
+// --- watch
+// Watches the directories of the source inputs. Once `debounce` ms pass without events,
+// calls rerun(affected, files) with the stages reading the changed files plus everything
+// downstream (limited to `selected` when given); `rerun` may be async. Changes arriving while
+// it runs are picked up afterwards. Returns { dirs, close() }; close() stops the watchers and
+// any pending re-run.
+export function watchStages(stages, { debounce = 1000, selected = null, rerun }) {
+  const dirs = sourceDirs(stages).filter(fileExistsSync);
+  const pending = new Set();
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  const flush = async () => {
+    if (closed || running || pending.size === 0) return;
+    const files = [...pending].sort();
+    pending.clear();
+
+    let affected = affectedBy(stages, files);
+    if (selected) affected = new Set([...affected].filter(n => selected.has(n)));
+    if (affected.size === 0) {
+      console.log(`[watch] ${files.map(f => path.basename(f)).join(', ')} changed; no stage reads it`);
+      return;
+    }
+
+    running = true;
+    try {
+      await rerun(affected, files);
+    } catch (err) {
+      console.error(`[watch] re-run failed: ${err.message}`);
+    } finally {
+      running = false;
+    }
+    if (pending.size) flush();
+  };
+
+  const watchers = dirs.map(dir => fs.watch(dir, (event, filename) => {
+    // Without a file name (platform dependent) every input of the directory counts as changed.
+    const files = filename
+      ? [path.join(dir, filename.toString())]
+      : stages.flatMap(s => s.inputs).filter(i => path.dirname(path.normalize(i)) === dir);
+    for (const f of files) pending.add(f);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  }));
+
+  return {
+    dirs,
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+    }
+  };
+}
+
+// --- hashing
+async function hashFile(hash, file) {
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(file)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
+
+// Content hash of files/directories (directories: sorted file names + contents).
+// Missing paths hash as "missing" so appearing/disappearing inputs count as changes.
+export async function hashPaths(paths, extra = '') {
+  const hash = crypto.createHash('sha256');
+  hash.update(extra);
+  for (const p of paths) {
+    hash.update(`\u0000${p}\u0000`);
+    if (!fileExistsSync(p)) { hash.update('missing'); continue; }
+    if (fs.statSync(p).isDirectory()) {
+      const files = fs.readdirSync(p).filter(f => !f.startsWith('.')).sort();
+      for (const f of files) {
+        const full = path.join(p, f);
+        if (!fs.statSync(full).isFile()) continue;
+        hash.update(`\u0000${f}\u0000`);
+        await hashFile(hash, full);
+      }
+    } else {
+      await hashFile(hash, p);
+    }
+  }
+  return hash.digest('hex');
+}
+
+export function stageArgs(stage, args = []) {
+  return [...args, ...(stage.args ?? [])];
+}
+
+export async function inputHash(stage, args = []) {
+  return hashPaths([...stage.inputs, stage.script, 'config.js'], JSON.stringify(stageArgs(stage, args)));
+}
+
+export async function outputHash(stage) {
+  return hashPaths(stage.outputs);
+}
+
+// --- state
+export function loadState() {
+  if (!fileExistsSync(STATE_FILE)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+export function saveState(state) {
+  safeWriteLinesAtomicSync(STATE_FILE, [JSON.stringify(state, null, 2)]);
+}
+
+// --- run
+// Runs `stages` (already in dependency order) whose names are in `selected`. `args` go to
+// every stage, followed by the stage's own `args`.
+// A dry run cannot know what an upstream stage would write, so a stage downstream of one
+// that would run is reported as running too.
+// Returns { ran: [...], skipped: [...], failed: name|null }.
+export async function runStages(stages, { selected, args = [], force = false, dryRun = false } = {}) {
+  const state = loadState();
+  const deps = dependencies(stages);
+  const ran = [];
+  const skipped = [];
+
+  for (const stage of stages) {
+    if (selected && !selected.has(stage.name)) continue;
+
+    const input = await inputHash(stage, args);
+    const prev = state[stage.name];
+    const unchanged = prev && prev.input === input && prev.output === await outputHash(stage);
+    const upstream = dryRun ? [...deps.get(stage.name)].filter(d => ran.includes(d)) : [];
+    if (unchanged && !force && upstream.length === 0) {
+      console.log(`-- ${stage.name}: inputs unchanged, skipping`);
+      skipped.push(stage.name);
+      continue;
+    }
+
+    const cmd = [stage.script, ...stageArgs(stage, args)];
+    if (dryRun) {
+      const why = unchanged && !force ? ` after ${upstream.join(', ')}` : '';
+      console.log(`>> ${stage.name}: would run${why} (node ${cmd.join(' ')})`);
+      ran.push(stage.name);
+      continue;
+    }
+
+    console.log(`\n>> Running ${stage.name} ...`);
+    const res = spawnSync(process.execPath, cmd, { stdio: 'inherit' });
+    if (res.status !== 0) {
+      console.error(`Stage ${stage.name} failed with code ${res.status}. Stopping.`);
+      delete state[stage.name];
+      saveState(state);
+      return { ran, skipped, failed: stage.name };
+    }
+
+    state[stage.name] = { input, output: await outputHash(stage), at: new Date().toISOString() };
+    saveState(state);
+    ran.push(stage.name);
+  }
+
+  return { ran, skipped, failed: null };
+}
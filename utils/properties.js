@@ -0,0 +1,92 @@
+// utils/properties.js
+// App/URL normalization for the vision keyProperties (config.keyProperties).
+//
+// Sites are grouped by canonical domain: scheme, "www.", port, path, query and trailing dot
+// are dropped and the host is lower-cased, so "https://www.Example.com/path?x=1" and
+// "example.com" are one row. Apps are told apart with a local lookup file
+// (config.keyProperties.appsFile): CSV/TSV lines `appId,name`, where appId is a store bundle
+// ID ("com.king.candycrush") or numeric iOS ID ("553834731" / "id553834731"). A raw value
+// matching an appId or a name from the file is that app; unlisted numeric IDs and bundle
+// IDs starting with com., net., org. or air. with 3+ labels are apps too, named by their ID.
+//
+// Values that are neither (no host name, e.g. an app title missing from the file) are
+// type 'unknown', grouped case-insensitively.
+//
+//   createPropertyNormalizer({ appsFile? }) -> (raw) => { key, type: 'site' | 'app' | 'unknown', name, appId? } | null
+
+import fs from 'node:fs';
+import config from '../config.js';
+
+export const APPS_FILE = config.keyProperties?.appsFile ?? './dictionary/apps.csv';
+
+// First labels of reverse-DNS bundle IDs (kept short: 'app.' or 'tv.' start real hostnames too)
+const BUNDLE_PREFIXES = new Set(['com', 'net', 'org', 'air']);
+
+function normalizeAppId(raw) {
+  const s = String(raw ?? '').trim().toLowerCase();
+  const ios = s.match(/^(?:id)?(\d{6,})$/);
+  return ios ? ios[1] : s;
+}
+
+export function looksLikeAppId(raw) {
+  const s = normalizeAppId(raw);
+  if (/^\d{6,}$/.test(s)) return true;
+  const labels = s.split('.');
+  return labels.length >= 3 && BUNDLE_PREFIXES.has(labels[0]) && labels.every(l => /^[a-z0-9_-]+$/.test(l));
+}
+
+// "https://www.Example.com:443/path?q" -> "example.com"; '' when nothing host-like is left.
+export function canonicalDomain(raw) {
+  let s = String(raw ?? '').trim().toLowerCase();
+  s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  s = s.split(/[/?#]/)[0];
+  s = s.replace(/^[^@]*@/, '').replace(/:\d+$/, '').replace(/\.+$/, '');
+  return s.replace(/^www\d*\./, '');
+}
+
+// appId -> name and lower-cased name -> appId. Missing file: empty lookup.
+export function loadAppLookup(file = APPS_FILE) {
+  const byId = new Map();
+  const byName = new Map();
+  if (!fs.existsSync(file)) return { byId, byName };
+
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const [idRaw, ...rest] = line.split(/[,\t]/);
+    const id = normalizeAppId(idRaw);
+    const name = rest.join(',').trim().replace(/^"(.*)"$/, '$1');
+    if (!id || id === 'appid' || id.startsWith('#')) continue;
+    byId.set(id, name || idRaw.trim());
+    if (name) byName.set(name.toLowerCase(), id);
+  }
+  return { byId, byName };
+}
+
+export function createPropertyNormalizer({ appsFile = APPS_FILE } = {}) {
+  const apps = loadAppLookup(appsFile);
+  const cache = new Map();
+
+  function normalize(rawValue) {
+    const raw = String(rawValue ?? '').trim();
+    if (!raw) return null;
+
+    const id = normalizeAppId(raw);
+    const named = apps.byName.get(raw.toLowerCase());
+    if (apps.byId.has(id) || named) {
+      const appId = named ?? id;
+      return { key: `app:${appId}`, type: 'app', name: apps.byId.get(appId), appId };
+    }
+    if (looksLikeAppId(raw)) return { key: `app:${id}`, type: 'app', name: id, appId: id };
+
+    const domain = canonicalDomain(raw);
+    if (!domain) return null;
+    if (/^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/.test(domain)) return { key: `site:${domain}`, type: 'site', name: domain };
+    // Not a host name (e.g. an app title missing from the lookup): kept as written
+    const name = raw.replace(/\s+/g, ' ');
+    return { key: `unknown:${name.toLowerCase()}`, type: 'unknown', name };
+  }
+
+  return (raw) => {
+    if (!cache.has(raw)) cache.set(raw, normalize(raw));
+    return cache.get(raw);
+  };
+}
@@ -0,0 +1,80 @@
+// utils/providers/base.js
+// Provider adapter contract + defaults. Every module in utils/providers/ (other than
+// this file and index.js) default-exports `defineProvider({...})` and is picked up by
+// the registry automatically.
+//
+// Adapter fields:
+//   id                 - value accepted by --provider
+//   describe           - short human label
+//   headers            - { canonicalColumn: ['extra header alias', ...] } merged over utils/csv.js SCHEMAS
+//   isFooter(cells)    - true when a record marks the end of data (reader stops)
+//   isPreamble(cells)  - true for records before the header that must be skipped
+//   categorySeparator  - default split char for category paths (overridden by --splitval)
+//   splitCategory(raw, splitChar) - category path -> array of trimmed, non-empty tiers
+//   dateFormats        - non-ISO date formats of the export, e.g. ['MM/DD/YYYY'] (utils/dates.js;
+//                        config.dates.formats overrides)
+//   devices            - [[RegExp, 'Canonical Device'], ...] matched in order against the raw value
+//   normalizeDevice(raw) - raw device label -> canonical device name
+//   genders            - [[RegExp, 'male' | 'female' | 'other' | 'unknown'], ...] matched in order
+//                        before the shared DEFAULT_GENDERS
+//   normalizeGender(raw) - raw gender label -> 'male' | 'female' | 'other' | 'unknown'
+//                        (unmatched labels are 'unknown')
+
+function splitPath(raw, splitChar) {
+  return String(raw ?? '')
+    .split(splitChar)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+// Shared gender vocabulary, matched against the trimmed, lower-cased label.
+export const DEFAULT_GENDERS = [
+  [/^(m|male|males|man|men|hombre|hombres|masculino)$/, 'male'],
+  [/^(f|female|females|woman|women|mujer|mujeres|femenino)$/, 'female'],
+  [/^(non[\s-]?binary|nb|x|other|otro)$/, 'other'],
+  [/^(unknown|undetermined|unspecified|not specified|n\/?a|desconocido)$/, 'unknown']
+];
+
+export function defineProvider(spec) {
+  if (!spec?.id) throw new Error('Provider adapter requires an id');
+
+  const adapter = {
+    describe: spec.id,
+    headers: {},
+    isFooter: () => false,
+    isPreamble: () => false,
+    categorySeparator: '/',
+    splitCategory: splitPath,
+    dateFormats: [],
+    devices: [],
+    genders: [],
+    ...spec
+  };
+
+  if (!spec.normalizeDevice) {
+    adapter.normalizeDevice = (raw) => {
+      const s = String(raw ?? '').trim();
+      if (!s) return 'Other';
+      const lower = s.toLowerCase();
+      for (const [re, name] of adapter.devices) {
+        if (re.test(lower)) return name;
+      }
+      return s; // keep as-is (original casing)
+    };
+  }
+
+  if (!spec.normalizeGender) {
+    const vocabulary = [...adapter.genders, ...DEFAULT_GENDERS];
+    adapter.normalizeGender = (raw) => {
+      const lower = String(raw ?? '').trim().toLowerCase();
+      for (const [re, name] of vocabulary) {
+        if (re.test(lower)) return name;
+      }
+      return 'unknown';
+    };
+  }
+
+  return Object.freeze(adapter);
+}
+
+export { splitPath };
@@ -0,0 +1,30 @@
+// utils/providers/dv.js
+// Display & Video 360 exports.
+//   - Footer: data ends at the first line starting with "Report Time" (case-insensitive).
+//   - Category paths start with the separator ("/Arts & Entertainment/Music"), so the
+//     FIRST occurrence of the split char is removed before splitting.
+
+import { defineProvider, splitPath } from './base.js';
+
+export default defineProvider({
+  id: 'dv',
+  describe: 'Display & Video 360',
+  headers: {},
+  isFooter: (cells) => /^\s*report time\b/i.test(cells[0] ?? ''),
+  categorySeparator: '/',
+  splitCategory(raw, splitChar) {
+    let s = String(raw ?? '');
+    const idx = s.indexOf(splitChar);
+    if (idx >= 0) s = s.slice(0, idx) + s.slice(idx + 1);
+    return splitPath(s, splitChar);
+  },
+  dateFormats: ['MM/DD/YYYY'], // YYYY/MM/DD is ISO order, always accepted
+  devices: [
+    [/ctv|connected.*tv/, 'CTV'],
+    [/tablet/, 'Tablet'],
+    [/smart\s*phone/, 'Smart Phone'],
+    [/^mobile$/, 'Mobile'],
+    [/desktop/, 'Desktop'],
+    [/phone/, 'Smart Phone']
+  ]
+});
@@ -0,0 +1,36 @@
+// utils/providers/index.js
+// Provider adapter registry. Every *.js module in this directory (except base.js and
+// index.js) is loaded at startup, so adding a provider means dropping in one module
+// that default-exports `defineProvider({...})` (see base.js for the contract).
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const SKIP = new Set(['base.js', 'index.js']);
+
+const registry = new Map();
+
+const files = fs.readdirSync(DIR).filter(f => f.endsWith('.js') && !SKIP.has(f)).sort();
+for (const file of files) {
+  const mod = await import(pathToFileURL(path.join(DIR, file)).href);
+  const adapter = mod.default;
+  if (!adapter?.id) throw new Error(`Provider module ${file} must default-export defineProvider({...})`);
+  if (registry.has(adapter.id)) throw new Error(`Duplicate provider id '${adapter.id}' in ${file}`);
+  registry.set(adapter.id, adapter);
+}
+
+export function providerIds() {
+  return [...registry.keys()];
+}
+
+// Accepts an id ('dv') or an adapter object (returned as-is).
+export function getProvider(idOrAdapter) {
+  if (idOrAdapter && typeof idOrAdapter === 'object') return idOrAdapter;
+  const adapter = registry.get(String(idOrAdapter ?? '').toLowerCase());
+  if (!adapter) {
+    throw new Error(`Unknown provider '${idOrAdapter}'. Available: ${providerIds().join(', ')}`);
+  }
+  return adapter;
+}
@@ -0,0 +1,49 @@
+// utils/providers/ttd.js
+// The Trade Desk report exports.
+//   - Campaign / Ad Group stand in for the Insertion Order; "Day" for Date.
+//   - Reports may open with title/filter lines before the header and close with a
+//     "Total" (or "Grand Total") row, which is not data. Only a record whose first cell
+//     is exactly that label and whose other cells are empty or metrics counts, so an
+//     IO named "Total Brand Awareness" (or a "Total" IO with a date) is still data.
+//   - Category paths use '>' ("Arts & Entertainment > Music").
+
+import { defineProvider } from './base.js';
+
+const TOTAL_LABEL = /^\s*(grand\s+)?total\s*:?\s*$/i;
+const METRIC = /^[-+]?[$€£]?[\d,]*\.?\d+%?$/;
+
+function isSummaryRow(cells) {
+  if (!TOTAL_LABEL.test(cells[0] ?? '')) return false;
+  return cells.slice(1).every(c => !c.trim() || METRIC.test(c.trim()));
+}
+
+export default defineProvider({
+  id: 'ttd',
+  describe: 'The Trade Desk',
+  headers: {
+    insertionOrder: ['campaign', 'campaign name', 'ad group', 'ad group name'],
+    date: ['day', 'date (utc)'],
+    category: ['contextual category', 'content category'],
+    appUrl: ['site', 'site/app', 'app/site', 'domain'],
+    deviceType: ['device', 'device type name'],
+    viewableImpressions: ['in-view impressions', 'measured in-view impressions'],
+    uniqueImpressions: ['unique ids', 'persons reach'],
+    videoStarts: ['player starts', 'video starts'],
+    videoViews25: ['player 25% complete'],
+    videoViews50: ['player 50% complete'],
+    videoViews75: ['player 75% complete'],
+    videoViews100: ['player completed views', 'player 100% complete'],
+    age: ['age range'],
+    gender: ['sex']
+  },
+  isFooter: isSummaryRow,
+  isPreamble: (cells) => cells.filter(c => c.trim()).length <= 1,
+  categorySeparator: '>',
+  dateFormats: ['MM/DD/YYYY'],
+  devices: [
+    [/connected\s*tv|ctv|^tv$/, 'CTV'],
+    [/tablet/, 'Tablet'],
+    [/mobile|phone/, 'Smart Phone'],
+    [/^pc$|desktop|computer/, 'Desktop']
+  ]
+});
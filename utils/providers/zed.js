@@ -0,0 +1,18 @@
+// utils/providers/zed.js
+// Generic exports: canonical headers, no footer or preamble, category paths split
+// as-is on the separator. Use it as the starting point for a new provider.
+
+import { defineProvider } from './base.js';
+
+export default defineProvider({
+  id: 'zed',
+  describe: 'Generic CSV export',
+  categorySeparator: '/',
+  dateFormats: ['MM/DD/YYYY'],
+  devices: [
+    [/ctv|connected.*tv/, 'CTV'],
+    [/tablet/, 'Tablet'],
+    [/smart\s*phone|phone|mobile/, 'Smart Phone'],
+    [/desktop|pc/, 'Desktop']
+  ]
+});
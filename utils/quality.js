@@ -0,0 +1,173 @@
+// utils/quality.js
+// Data quality bookkeeping. Each task records, per input source, how many rows were
+// read / kept / skipped (by reason, with sample line numbers) and the impressions
+// behind them, then writes ./intermediate/quality.{stage}.json:
+//
+//   { stage, generatedAt, filter, sources: { [source]: {
+//       rows: { read, kept, skipped },
+//       impressions: { read, kept, lost, lostPct },          // lostPct 0–100, 4 decimals
+//       reasons: { [reason]: { rows, impressions, sampleLines: [..] } },
+//       notes: { [reason]: { rows, impressions, impressionsPct, sampleLines: [..] } } } } }
+//
+// skip() is a loss (bad or unusable data). note() is informational: the row is kept, but
+// falls outside one measure by design (unknown gender in the male/female shares, a category
+// scoring below --minscore), so it never counts toward lostPct.
+//
+// `filter` is the row filter in effect (utils/filters.js) or null; rows it excludes are
+// not counted at all. See tasks/qualitySummary.js for the threshold check.
+//
+// snapshot() / merge(snapshot) carry the counts of a report built elsewhere (a worker
+// thread ingesting one source) into this one.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import config from '../config.js';
+import { safeWriteLinesAtomicSync } from './fs.js';
+
+const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
+const SAMPLE_LINES = config.quality?.sampleLines ?? 5;
+
+export const QUALITY_PREFIX = 'quality.';
+
+export function qualityFileFor(stage) {
+  return path.join(INTERMEDIATE_DIR, `${QUALITY_PREFIX}${String(stage).replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+function num(x) {
+  return Number.isFinite(x) ? x : 0;
+}
+
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : 0;
+}
+
+function createSourceTracker() {
+  const t = {
+    rows: { read: 0, kept: 0, skipped: 0 },
+    impressions: { read: 0, kept: 0, lost: 0 },
+    reasons: {},
+    notes: {}
+  };
+
+  const tally = (bucket, reason, lineNo, imps) => {
+    const r = bucket[reason] ?? (bucket[reason] = { rows: 0, impressions: 0, sampleLines: [] });
+    r.rows += 1;
+    r.impressions += imps;
+    if (lineNo != null && r.sampleLines.length < SAMPLE_LINES) r.sampleLines.push(lineNo);
+  };
+  const mergeInto = (bucket, other) => {
+    for (const [reason, o] of Object.entries(other ?? {})) {
+      const r = bucket[reason] ?? (bucket[reason] = { rows: 0, impressions: 0, sampleLines: [] });
+      r.rows += o.rows;
+      r.impressions += o.impressions;
+      r.sampleLines = [...r.sampleLines, ...o.sampleLines].slice(0, SAMPLE_LINES);
+    }
+  };
+
+  return {
+    // Row kept; `impressions` is what it contributes downstream.
+    keep(impressions = 0) {
+      const imps = num(impressions);
+      t.rows.read += 1;
+      t.rows.kept += 1;
+      t.impressions.read += imps;
+      t.impressions.kept += imps;
+    },
+    // Row dropped for `reason` at `lineNo` (1-based; null when not applicable).
+    skip(reason, lineNo = null, impressions = 0) {
+      const imps = num(impressions);
+      t.rows.read += 1;
+      t.rows.skipped += 1;
+      t.impressions.read += imps;
+      t.impressions.lost += imps;
+      tally(t.reasons, reason, lineNo, imps);
+    },
+    // Row kept, recorded under `reason` for information (not a loss).
+    note(reason, lineNo = null, impressions = 0) {
+      this.keep(impressions);
+      tally(t.notes, reason, lineNo, num(impressions));
+    },
+    snapshot() {
+      return structuredClone(t);
+    },
+    merge(other) {
+      for (const k of Object.keys(t.rows)) t.rows[k] += other.rows[k];
+      for (const k of Object.keys(t.impressions)) t.impressions[k] += other.impressions[k];
+      mergeInto(t.reasons, other.reasons);
+      mergeInto(t.notes, other.notes);
+    },
+    toJSON() {
+      const reasons = {};
+      for (const key of Object.keys(t.reasons).sort()) {
+        const r = t.reasons[key];
+        reasons[key] = { rows: r.rows, impressions: round4(r.impressions), sampleLines: r.sampleLines };
+      }
+      const notes = {};
+      for (const key of Object.keys(t.notes).sort()) {
+        const r = t.notes[key];
+        notes[key] = {
+          rows: r.rows,
+          impressions: round4(r.impressions),
+          impressionsPct: t.impressions.read > 0 ? round4((r.impressions / t.impressions.read) * 100) : 0,
+          sampleLines: r.sampleLines
+        };
+      }
+      return {
+        rows: { ...t.rows },
+        impressions: {
+          read: round4(t.impressions.read),
+          kept: round4(t.impressions.kept),
+          lost: round4(t.impressions.lost),
+          lostPct: t.impressions.read > 0 ? round4((t.impressions.lost / t.impressions.read) * 100) : 0
+        },
+        reasons,
+        notes
+      };
+    }
+  };
+}
+
+export function createQualityReport(stage, { filter = null } = {}) {
+  const sources = new Map();
+
+  return {
+    stage,
+    source(name) {
+      if (!sources.has(name)) sources.set(name, createSourceTracker());
+      return sources.get(name);
+    },
+    // [[source, counts]] in creation order, for merge()
+    snapshot() {
+      return [...sources.entries()].map(([name, tracker]) => [name, tracker.snapshot()]);
+    },
+    merge(snapshot) {
+      for (const [name, counts] of snapshot) this.source(name).merge(counts);
+    },
+    toJSON() {
+      const out = {};
+      for (const [name, tracker] of sources.entries()) out[name] = tracker.toJSON();
+      return { stage, generatedAt: new Date().toISOString(), filter: filter?.describe() ?? null, sources: out };
+    },
+    write() {
+      const file = qualityFileFor(stage);
+      safeWriteLinesAtomicSync(file, [JSON.stringify(this.toJSON(), null, 2)]);
+      return file;
+    }
+  };
+}
+
+// All quality reports currently in ./intermediate (parsed), sorted by file name.
+export function readQualityReports() {
+  if (!fs.existsSync(INTERMEDIATE_DIR)) return [];
+  return fs.readdirSync(INTERMEDIATE_DIR)
+    .filter(f => f.startsWith(QUALITY_PREFIX) && f.endsWith('.json'))
+    .sort()
+    .map(f => {
+      const file = path.join(INTERMEDIATE_DIR, f);
+      try {
+        return { file, report: JSON.parse(fs.readFileSync(file, 'utf8')) };
+      } catch (err) {
+        return { file, error: err.message };
+      }
+    });
+}
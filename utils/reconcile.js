@@ -0,0 +1,194 @@
+// utils/reconcile.js
+// Cross-file reconciliation. The four raw exports break the same delivery down by a
+// different dimension (category, gender/age, device, none), so per IO and per day their
+// impression and click sums should agree. unique.csv is the reference: it feeds
+// totals.analytic_impressions in the vision JSON.
+//
+//   collectTotals({ provider, filter? })   -> { [source]: Map<io, Map<date, { impressions, clicks }>> }
+//   reconcile(sums, { tolerancePct })      -> { insertionOrders: [...], discrepancies: [...] }
+//   coverageFor(result, productId)         -> dataCoverage block for generate:vision
+//
+// A discrepancy is a metric whose spread across sources, (max - min) / max, exceeds
+// tolerancePct, or a day that some sources report and others do not.
+
+import path from 'node:path';
+import config from '../config.js';
+import { fileExistsSync } from './fs.js';
+import { readCsvRows, SCHEMAS, isIoLevelDate } from './csv.js';
+import { getProvider } from './providers/index.js';
+import { createDateParser } from './dates.js';
+
+const RAW_DIR = config.paths?.raw ?? './rawData';
+
+export const REFERENCE_SOURCE = 'unique';
+export const DEFAULT_TOLERANCE_PCT = config.reconcile?.tolerancePct ?? 0.5;
+const METRICS = ['impressions', 'clicks'];
+
+// source -> candidate files (first existing wins) + schema
+const SOURCES = {
+  categories: { files: ['categories.csv'], schema: SCHEMAS.categories },
+  genders: { files: ['genders.csv', 'gender.csv'], schema: SCHEMAS.genders },
+  device: { files: ['device.csv'], schema: SCHEMAS.device },
+  unique: { files: ['unique.csv'], schema: SCHEMAS.unique }
+};
+
+export const SOURCE_NAMES = Object.keys(SOURCES);
+
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : 0;
+}
+function num(x) {
+  return Number.isFinite(x) ? x : 0;
+}
+
+export function sourceFile(source) {
+  const files = SOURCES[source].files.map(f => path.join(RAW_DIR, f));
+  return files.find(f => fileExistsSync(f)) ?? null;
+}
+
+// Σ impressions / clicks per IO per day for every raw source present.
+// Missing files are left out of the result (and reported as such by reconcile()).
+// `filter` (utils/filters.js) restricts IOs and dates.
+export async function collectTotals({ provider = 'dv', filter = null } = {}) {
+  const adapter = getProvider(provider);
+  const parseDate = createDateParser({ provider: adapter });
+  const sums = {};
+
+  for (const [source, { schema }] of Object.entries(SOURCES)) {
+    const file = sourceFile(source);
+    if (!file) continue;
+
+    const byIo = new Map();
+    for await (const row of readCsvRows(file, { schema, provider: adapter })) {
+      const io = row.insertionOrder;
+      if (!io || isIoLevelDate(row.date)) continue;
+
+      const date = parseDate(row.date, `${file}:${row.lineNo}`);
+      if (filter && !filter.matches(io, date)) continue;
+      const byDate = byIo.get(io) ?? new Map();
+      byIo.set(io, byDate);
+      const cell = byDate.get(date) ?? { impressions: 0, clicks: 0 };
+      cell.impressions += num(row.impressions);
+      cell.clicks += num(row.clicks);
+      byDate.set(date, cell);
+    }
+    parseDate.finish();
+    sums[source] = byIo;
+  }
+  return sums;
+}
+
+// Compare one set of per-source values ({ [source]: { impressions, clicks } | undefined }).
+function compare(values, sources, tolerancePct) {
+  const present = sources.filter(s => values[s]);
+  const missing = sources.filter(s => !values[s]);
+  const issues = [];
+
+  if (missing.length && present.length) issues.push({ metric: 'rows', missing });
+
+  for (const metric of METRICS) {
+    const nums = present.map(s => values[s][metric]);
+    if (nums.length < 2) continue;
+    const max = Math.max(...nums);
+    const min = Math.min(...nums);
+    const deltaPct = max > 0 ? round4(((max - min) / max) * 100) : 0;
+    if (deltaPct > tolerancePct) {
+      const bySource = {};
+      for (const s of present) bySource[s] = round4(values[s][metric]);
+      issues.push({ metric, deltaPct, values: bySource });
+    }
+  }
+  return issues;
+}
+
+// Reconcile per IO (whole flight) and per IO per day.
+export function reconcile(sums, { tolerancePct = DEFAULT_TOLERANCE_PCT } = {}) {
+  const sources = SOURCE_NAMES.filter(s => sums[s]);
+  const ios = new Set();
+  for (const s of sources) for (const io of sums[s].keys()) ios.add(io);
+
+  const insertionOrders = [];
+  const discrepancies = [];
+
+  for (const io of [...ios].sort()) {
+    const dates = new Set();
+    for (const s of sources) for (const d of sums[s].get(io)?.keys() ?? []) dates.add(d);
+
+    const totals = {};
+    let discrepantDays = 0;
+    for (const date of [...dates].sort()) {
+      const values = {};
+      for (const s of sources) {
+        const v = sums[s].get(io)?.get(date);
+        if (!v) continue;
+        values[s] = v;
+        const t = totals[s] ?? (totals[s] = { impressions: 0, clicks: 0 });
+        t.impressions += v.impressions;
+        t.clicks += v.clicks;
+      }
+      const issues = compare(values, sources, tolerancePct);
+      if (issues.length) discrepantDays += 1;
+      for (const issue of issues) discrepancies.push({ insertionOrder: io, date, ...issue });
+    }
+
+    const ioIssues = compare(totals, sources, tolerancePct);
+    for (const issue of ioIssues) discrepancies.push({ insertionOrder: io, date: null, ...issue });
+
+    insertionOrders.push({
+      insertionOrder: io,
+      days: dates.size,
+      discrepantDays,
+      withinTolerance: ioIssues.length === 0 && discrepantDays === 0,
+      totals
+    });
+  }
+
+  return {
+    tolerancePct,
+    reference: REFERENCE_SOURCE,
+    sources,
+    missingSources: SOURCE_NAMES.filter(s => !sums[s]),
+    insertionOrders,
+    discrepancies
+  };
+}
+
+// dataCoverage block for one product: per source sums over the product's IOs and their
+// share of the reference (unique.csv) impressions/clicks.
+export function coverageFor(result, productId, productIdOf) {
+  const ios = result.insertionOrders.filter(r => productIdOf(r.insertionOrder) === productId);
+  const sums = {};
+  let days = 0, discrepantDays = 0;
+  for (const r of ios) {
+    days += r.days;
+    discrepantDays += r.discrepantDays;
+    for (const [s, t] of Object.entries(r.totals)) {
+      const acc = sums[s] ?? (sums[s] = { impressions: 0, clicks: 0 });
+      acc.impressions += t.impressions;
+      acc.clicks += t.clicks;
+    }
+  }
+
+  const ref = sums[REFERENCE_SOURCE];
+  const sources = {};
+  for (const s of result.sources) {
+    const v = sums[s] ?? { impressions: 0, clicks: 0 };
+    sources[s] = {
+      impressions: round4(v.impressions),
+      clicks: round4(v.clicks),
+      impressionsPctOfReference: ref?.impressions > 0 ? round4((v.impressions / ref.impressions) * 100) : null,
+      clicksPctOfReference: ref?.clicks > 0 ? round4((v.clicks / ref.clicks) * 100) : null
+    };
+  }
+
+  return {
+    reference: REFERENCE_SOURCE,
+    tolerancePct: result.tolerancePct,
+    insertionOrders: ios.length,
+    days,
+    discrepantDays,
+    withinTolerance: ios.every(r => r.withinTolerance) && result.missingSources.length === 0,
+    missingSources: result.missingSources,
+    sources
+  };
+}
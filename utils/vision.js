@@ -0,0 +1,100 @@
+// utils/vision.js
+// Reading processed vision files (generate:vision) back, for the commands that consume them.
+//
+//   listVisionFiles(dir)                     -> sorted *.vision.json paths
+//   readVision(file)                         -> { file, meta, products: [{ productId, product }] }
+//   readVisions(dir)                         -> readVision() of every file, in file order
+//   sectionOf(product, section)              -> product[section], dotted paths allowed
+//   sliceProduct(product, { from, to, top }) -> date range / top-N view of a product
+
+import fs from 'node:fs';
+import path from 'node:path';
+import config from '../config.js';
+import { fileExistsSync } from './fs.js';
+
+export const PROCESSED_DIR = config.paths?.processed ?? './processed';
+export const VISION_SUFFIX = '.vision.json';
+
+export function listVisionFiles(dir = PROCESSED_DIR) {
+  if (!fileExistsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(VISION_SUFFIX))
+    .sort()
+    .map(f => path.join(dir, f));
+}
+
+export function readVision(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const products = Object.entries(json?.data?.products ?? {}).map(([productId, product]) => ({ productId, product }));
+  return { file, meta: json?.data?.meta ?? null, products };
+}
+
+export function readVisions(dir = PROCESSED_DIR) {
+  return listVisionFiles(dir).map(readVision);
+}
+
+// ---- Sections & slicing (serve:vision, generate:report)
+// Per-date lists carry `analytic_date` (perDay, byDevicesPerDay, demoPerDay) or `date`
+// (campaign_delivery / campaign_interactions).
+const DATED = ['perDay', 'byDevicesPerDay', 'demoPerDay', 'contentTaxonomy.campaign_delivery', 'contentTaxonomy.campaign_interactions'];
+
+// 'contentTaxonomy.audience_distribution' -> value (undefined when missing). Own properties
+// only: 'constructor' or '__proto__' are missing sections, not Object internals.
+export function sectionOf(product, section) {
+  return String(section).split('.').reduce((node, key) => (node != null && Object.hasOwn(node, key) ? node[key] : undefined), product);
+}
+
+function withSection(product, section, value) {
+  const [head, ...rest] = section.split('.');
+  if (!Object.hasOwn(product, head)) return product;
+  return { ...product, [head]: rest.length ? withSection(product[head], rest.join('.'), value) : value };
+}
+
+function inRange(date, from, to) {
+  return (!from || date >= from) && (!to || date <= to);
+}
+
+// Top `n` by `value` (IAB lists) per date when dated; keyProperties are already sorted by
+// impressions, their "Other" remainder row is dropped by the cut.
+function topOf(section, list, n) {
+  if (section === 'keyProperties') return list.filter(p => p.type !== 'other').slice(0, n);
+  const byValue = (a, b) => (b.value ?? 0) - (a.value ?? 0);
+  if (!DATED.includes(section)) return [...list].sort(byValue).slice(0, n);
+
+  const perDate = new Map();
+  for (const item of list) {
+    const d = item.date ?? item.analytic_date;
+    if (!perDate.has(d)) perDate.set(d, []);
+    perDate.get(d).push(item);
+  }
+  const keep = new Set();
+  for (const items of perDate.values()) for (const item of [...items].sort(byValue).slice(0, n)) keep.add(item);
+  return list.filter(item => keep.has(item));
+}
+
+const TOP_SECTIONS = [
+  'keyProperties',
+  'contentTaxonomy.audience_distribution',
+  'contentTaxonomy.campaign_delivery',
+  'contentTaxonomy.campaign_interactions'
+];
+
+// Copy of the product with the dated lists restricted to [from, to] (ISO dates, inclusive)
+// and the ranked lists cut to the top `top` entries. totals / byDevices / demo are left as
+// generated (they cover the whole run).
+export function sliceProduct(product, { from = null, to = null, top = null } = {}) {
+  let out = product;
+  if (from || to) {
+    for (const section of DATED) {
+      const list = sectionOf(out, section);
+      if (Array.isArray(list)) out = withSection(out, section, list.filter(i => inRange(i.analytic_date ?? i.date, from, to)));
+    }
+  }
+  if (top != null) {
+    for (const section of TOP_SECTIONS) {
+      const list = sectionOf(out, section);
+      if (Array.isArray(list)) out = withSection(out, section, topOf(section, list, top));
+    }
+  }
+  return out;
+}
@@ -0,0 +1,164 @@
+// utils/visionDiff.js
+// Compare two versions of a product vision (diff:vision).
+//
+//   diffProduct(before, after, { metricPct, sharePts }) -> { totals, perDay, byDevices, demo, audience, exceeded }
+//
+// Tolerances:
+//   metricPct - relative change allowed on totals / perDay metrics, in % of the old value
+//   sharePts  - change allowed on shares (byDevices, demo, audience_distribution percent), in
+//               percentage points
+// Added / removed days, devices, demo fields and IAB categories always exceed the tolerance,
+// as does any change of a non-numeric metric (e.g. analytic_uniqueUsersBasis).
+// A multi-IO product has one perDay entry per IO and date; the entries of a date are summed
+// (rates recomputed) before comparing, so the diff is per date whatever the IO order.
+
+import config from '../config.js';
+
+export const DEFAULT_TOLERANCES = {
+  metricPct: config.diff?.metricPct ?? 0.5,
+  sharePts: config.diff?.sharePts ?? 0.5
+};
+
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : x;
+}
+
+// One metric; null when unchanged.
+function metricDelta(key, a, b, metricPct) {
+  if (a === b) return null;
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    return { key, before: a ?? null, after: b ?? null, exceeded: true };
+  }
+  const deltaPct = a !== 0 ? round4(((b - a) / Math.abs(a)) * 100) : null;
+  return {
+    key,
+    before: a,
+    after: b,
+    delta: round4(b - a),
+    deltaPct,
+    exceeded: deltaPct == null || Math.abs(deltaPct) > metricPct
+  };
+}
+
+function metricDeltas(a = {}, b = {}, metricPct, skip = []) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => !skip.includes(k));
+  return keys.map(k => metricDelta(k, a[k], b[k], metricPct)).filter(Boolean);
+}
+
+// Shares keyed by name ({ name: pct }); `added` / `removed` carry the names.
+function shareDeltas(a = {}, b = {}, sharePts) {
+  const shifts = [];
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (!(key in a) || !(key in b)) continue;
+    const deltaPts = round4(b[key] - a[key]);
+    if (deltaPts !== 0) shifts.push({ key, before: a[key], after: b[key], deltaPts, exceeded: Math.abs(deltaPts) > sharePts });
+  }
+  return {
+    added: Object.keys(b).filter(k => !(k in a)),
+    removed: Object.keys(a).filter(k => !(k in b)),
+    shifts
+  };
+}
+
+function deviceShares(byDevices = {}) {
+  const out = {};
+  for (const [device, v] of Object.entries(byDevices)) {
+    out[device] = typeof v === 'number' ? v : v?.analytic_impressionsPercent ?? 0;
+  }
+  return out;
+}
+
+function numericFields(obj = {}) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => typeof v === 'number'));
+}
+
+// Rates of a perDay entry, recomputed after summing (everything else numeric is a count).
+// Viewability and VTR have no raw denominator in the vision: they are weighted by impressions
+// and by the video starts implied by views / vtr.
+function ratio(num, den, scale = 100) {
+  return den > 0 ? round4((num / den) * scale) : 0;
+}
+const DAY_RATES = {
+  analytic_ctr: (t) => ratio(t.analytic_clicks, t.analytic_impressions),
+  analytic_engagementsPercent: (t) => ratio(t.analytic_engagements, t.analytic_impressions),
+  analytic_frequency: (t) => ratio(t.analytic_impressions, t.analytic_uniqueUsers, 1),
+  analytic_viewability: (t, days) => ratio(
+    days.reduce((s, d) => s + ((d.analytic_viewability ?? 0) / 100) * (d.analytic_impressions ?? 0), 0),
+    t.analytic_impressions
+  ),
+  analytic_vtr: (t, days) => ratio(
+    t.analytic_views,
+    days.reduce((s, d) => s + (d.analytic_vtr > 0 ? (d.analytic_views ?? 0) / (d.analytic_vtr / 100) : 0), 0)
+  )
+};
+
+// perDay entries of one date -> one entry (a single entry is returned as-is).
+function sumDay(days) {
+  if (days.length === 1) return days[0];
+  const t = { analytic_date: days[0].analytic_date };
+  for (const d of days) {
+    for (const [k, v] of Object.entries(d)) {
+      if (typeof v === 'number' && !(k in DAY_RATES)) t[k] = (t[k] ?? 0) + v;
+    }
+  }
+  for (const [k, rate] of Object.entries(DAY_RATES)) {
+    if (days.some(d => k in d)) t[k] = rate(t, days);
+  }
+  return t;
+}
+
+function perDate(list) {
+  const byDate = new Map();
+  for (const d of list) byDate.set(d.analytic_date, [...(byDate.get(d.analytic_date) ?? []), d]);
+  return new Map([...byDate].map(([date, days]) => [date, sumDay(days)]));
+}
+
+function diffPerDay(a = [], b = [], metricPct) {
+  const before = perDate(a);
+  const after = perDate(b);
+  const changed = [];
+  for (const [date, day] of after.entries()) {
+    if (!before.has(date)) continue;
+    const metrics = metricDeltas(before.get(date), day, metricPct, ['analytic_date']);
+    if (metrics.length) changed.push({ date, metrics, exceeded: metrics.some(m => m.exceeded) });
+  }
+  return {
+    added: [...after.keys()].filter(d => !before.has(d)).sort(),
+    removed: [...before.keys()].filter(d => !after.has(d)).sort(),
+    changed
+  };
+}
+
+function diffAudience(a = [], b = [], sharePts) {
+  const name = new Map([...a, ...b].map(c => [String(c.id), c.name]));
+  const shares = (list) => Object.fromEntries(list.map(c => [String(c.id), c.percent]));
+  const d = shareDeltas(shares(a), shares(b), sharePts);
+  const named = (ids) => ids.map(id => ({ id, name: name.get(id) ?? null }));
+  return {
+    entered: named(d.added),
+    left: named(d.removed),
+    shifts: d.shifts.map(s => ({ ...s, name: name.get(s.key) ?? null }))
+  };
+}
+
+export function diffProduct(before = {}, after = {}, tolerances = DEFAULT_TOLERANCES) {
+  const { metricPct, sharePts } = { ...DEFAULT_TOLERANCES, ...tolerances };
+
+  const totals = metricDeltas(before.totals, after.totals, metricPct);
+  const perDay = diffPerDay(before.perDay, after.perDay, metricPct);
+  const byDevices = shareDeltas(deviceShares(before.byDevices), deviceShares(after.byDevices), sharePts);
+  const demo = shareDeltas(numericFields(before.demo), numericFields(after.demo), sharePts);
+  const audience = diffAudience(
+    before.contentTaxonomy?.audience_distribution,
+    after.contentTaxonomy?.audience_distribution,
+    sharePts
+  );
+
+  const exceeded =
+    totals.some(m => m.exceeded) ||
+    perDay.added.length > 0 || perDay.removed.length > 0 || perDay.changed.some(d => d.exceeded) ||
+    [byDevices, demo].some(s => s.added.length > 0 || s.removed.length > 0 || s.shifts.some(x => x.exceeded)) ||
+    audience.entered.length > 0 || audience.left.length > 0 || audience.shifts.some(x => x.exceeded);
+
+  return { totals, perDay, byDevices, demo, audience, exceeded };
+}
@@ -0,0 +1,807 @@
+// utils/visionIngest.js
+// Source ingestion for generate:vision. Each source is read by its own worker thread (or
+// one after another in the calling thread) and folded per aggregation target (productId or
+// roll-up key) into a partition store (utils/partitions.js), whose estimated size is kept
+// under `maxBytes` per source. What comes back is, per target, a fragment of the product
+// vision:
+//
+//   device.csv                 { byDevices, devicesByDate }
+//   gender.deaggregated.jsonl  { demo, demoByDate }
+//   unique.csv                 { perDay, totals }
+//   categories.csv             { keyProperties }
+//   categoryscored.jsonl       { contentTaxonomy: { campaign_delivery, campaign_interactions, audience_distribution } }
+//
+// plus what the rows revealed on the way: quality counts, IOs per target, roll-ups and the
+// age strategies. Rows reach each partition in file order whatever the memory limit, so the
+// fragments are the same with or without spilling. With a `spillDir` the fragments are
+// written to `<spillDir>/<source>.fragments` as they are finished rather than kept (and
+// posted back from the worker); only their offsets stay in memory, and fragmentsByTarget()
+// reads the fragments of one target at a time.
+//
+//   ingestSources(options, { parallel }) -> [result] in SOURCES order (missing files left out)
+//   rollupKeyFor(io, groupBy)            -> 'rollup:<encoded values joined by +>' | null
+//   ingestSource(name, options)          -> { source, fragments: Map<key, fragment> | null,
+//                                             fragmentsFile: path | null,
+//                                             fragmentIndex: Map<key, [offset, length]> | null,
+//                                             quality, targetIos, rollups, ageStrategies, spill }
+//   fragmentsByTarget(results)           -> [key, [fragment of each result holding it]], one
+//                                           target at a time (first seen in results order)
+// options (structured-clonable; tasks/generateVisionJson.js builds them from its CLI):
+//   { provider, from, to, io, product, groupBy, perDay, deviceTable, deviceRollup,
+//     deviceMinPct, topProperties, unknownShares, engagementTerms, maxBytes, spillDir }
+
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import config from '../config.js';
+import { fileExistsSync } from './fs.js';
+import { readCsvRows, SCHEMAS, withExtraColumns, isIoLevelDate } from './csv.js';
+import { getProvider } from './providers/index.js';
+import { createQualityReport } from './quality.js';
+import { createDateParser } from './dates.js';
+import { createRowFilter } from './filters.js';
+import { productIdFromInsertionOrder, parseInsertionOrder } from './naming.js';
+import { createPropertyNormalizer } from './properties.js';
+import { REPORTED_AGE_BINS, UNKNOWN_AGE, demoAgeField, normalizeBinLabel } from './ages.js';
+import { createPartitionStore, frame, readFrameAt } from './partitions.js';
+
+const RAW_DIR = config.paths?.raw ?? './rawData';
+const INTERMEDIATE_DIR = config.paths?.intermediate ?? './intermediate';
+const ENCODING = config.csv?.encoding ?? 'utf8';
+
+const DEVICE_CSV = path.join(RAW_DIR, 'device.csv');
+const UNIQUE_CSV = path.join(RAW_DIR, 'unique.csv');
+const CATEGORIES_CSV = path.join(RAW_DIR, 'categories.csv');
+const DEMO_JSONL = path.join(INTERMEDIATE_DIR, 'gender.deaggregated.jsonl');
+const IAB_SCORED_JSONL = path.join(INTERMEDIATE_DIR, 'categoryscored.jsonl');
+
+export const ROLLUP_PREFIX = 'rollup:';
+
+// Percent-encodes everything but [A-Za-z0-9_.-], so the encoded value never contains the '+'
+// joining the values and is safe in a file name ("Labor Day" -> "Labor%20Day").
+export function encodeRollupValue(value) {
+  return encodeURIComponent(String(value))
+    .replace(/[!'()*~]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Roll-up key of an IO for the --group-by attributes (null when it does not carry them all).
+// Values are encoded and joined by '+', so different value tuples never share a key
+// ("a_b" + "c" vs "a" + "b_c").
+export function rollupKeyFor(io, groupBy) {
+  if (!groupBy) return null;
+  const { attributes } = parseInsertionOrder(io);
+  const values = groupBy.map(a => attributes[a]);
+  if (values.some(v => v == null || v === '')) return null; // IO does not carry the attribute
+  return `${ROLLUP_PREFIX}${values.map(encodeRollupValue).join('+')}`;
+}
+
+// --- Small helpers
+function parseNumber(x) {
+  if (x == null) return 0;
+  const n = Number(String(x).replace(/,/g, '').trim());
+  return Number.isFinite(n) ? n : 0;
+}
+function round4(x) {
+  return Number.isFinite(x) ? Number(x.toFixed(4)) : 0;
+}
+function pct4(num, den) {
+  return den > 0 ? round4((num / den) * 100) : 0;
+}
+
+// --- Context: options + what the rows reveal (IOs per target, roll-ups, age strategies)
+function createContext(options) {
+  const provider = getProvider(options.provider);
+  // Raw dates per provider/config formats; intermediates are already ISO (always accepted).
+  const parseDate = createDateParser({ provider });
+  // Row filter (--from/--to/--io/--product). Filtered-out rows are not quality losses.
+  const filter = createRowFilter(options);
+  const groupBy = options.groupBy?.length ? options.groupBy : null;
+  // Aggregation targets of a row: its productId and, with --group-by, its roll-up key.
+  const rollups = new Map(); // key -> { id, groupBy: { attribute: value }, members: Set(productId) }
+  const targetIos = new Map(); // key -> Set(insertionOrder), every IO seen (-> entities)
+
+  return {
+    options,
+    provider,
+    parseDate,
+    filter,
+    rollups,
+    targetIos,
+    ageStrategies: new Set(), // ageStrategy values seen in gender.deaggregated.jsonl (infer:ageGender)
+    quality: createQualityReport('generate:vision', { filter }),
+
+    selected(io, rawDate, where) {
+      if (!filter.active) return true;
+      if (!filter.matchesIo(io)) return false;
+      if (!filter.hasDateRange) return true;
+      return !isIoLevelDate(rawDate) && filter.matchesDate(parseDate(rawDate, where));
+    },
+
+    targetsOf(io) {
+      const pid = productIdFromInsertionOrder(io);
+      if (!pid) return [];
+      const targets = [pid];
+      const rk = rollupKeyFor(io, groupBy);
+      if (rk) {
+        const r = rollups.get(rk) ?? { id: rk.slice(ROLLUP_PREFIX.length), groupBy: {}, members: new Set() };
+        const { attributes } = parseInsertionOrder(io);
+        for (const a of groupBy) r.groupBy[a] = attributes[a];
+        r.members.add(pid);
+        rollups.set(rk, r);
+        targets.push(rk);
+      }
+      for (const key of targets) {
+        const ios = targetIos.get(key) ?? new Set();
+        ios.add(String(io).trim());
+        targetIos.set(key, ios);
+      }
+      return targets;
+    }
+  };
+}
+
+// --- DEVICE.CSV
+// viewable is null when the export has no Viewable Impressions value for the row.
+function addDeviceRow(devMap, bucket, impressions, clicks, viewable) {
+  const d = devMap.get(bucket) ?? { impressions: 0, clicks: 0, viewable: 0, measured: 0 };
+  d.impressions += impressions;
+  d.clicks += clicks;
+  if (viewable != null) {
+    d.viewable += viewable;
+    d.measured += impressions;
+  }
+  devMap.set(bucket, d);
+}
+
+// Per bucket: share of impressions, raw counts, CTR and viewability (4 decimals).
+// With deviceRollup, buckets below deviceMinPct are merged into the largest one.
+function deviceBreakdown(devMap, { deviceRollup, deviceMinPct }) {
+  let total = 0;
+  for (const d of devMap.values()) total += d.impressions;
+  if (total <= 0) return {};
+
+  const buckets = [...devMap.entries()].map(([dev, d]) => ({ dev, ...d }));
+  if (deviceRollup) {
+    // find max device
+    let max = buckets[0];
+    for (const b of buckets) if (b.impressions > max.impressions) max = b;
+
+    for (const b of buckets) {
+      if (b === max || (b.impressions / total) * 100 >= deviceMinPct) continue;
+      max.impressions += b.impressions;
+      max.clicks += b.clicks;
+      max.viewable += b.viewable;
+      max.measured += b.measured;
+      b.merged = true;
+    }
+  }
+
+  const outObj = {};
+  for (const b of buckets) {
+    if (b.merged) continue;
+    outObj[b.dev] = {
+      analytic_impressionsPercent: pct4(b.impressions, total),
+      analytic_impressions: b.impressions,
+      analytic_clicks: b.clicks,
+      analytic_ctr: pct4(b.clicks, b.impressions),
+      analytic_viewability: b.measured > 0 ? pct4(b.viewable, b.measured) : null
+    };
+  }
+  return outObj;
+}
+
+const devices = {
+  file: DEVICE_CSV,
+
+  async *rows(ctx) {
+    const { provider, parseDate, options } = ctx;
+    const q = ctx.quality.source('device.csv');
+    for await (const row of readCsvRows(DEVICE_CSV, { schema: SCHEMAS.device, provider })) {
+      if (!ctx.selected(row.insertionOrder, row.date, `${DEVICE_CSV}:${row.lineNo}`)) continue;
+      const targets = ctx.targetsOf(row.insertionOrder);
+      const imps = parseNumber(row.impressions);
+      if (!targets.length) { q.skip('missing_insertion_order', row.lineNo, imps); continue; }
+      if (!imps) { q.skip('zero_or_non_numeric_impressions', row.lineNo); continue; }
+      q.keep(imps);
+
+      const device = provider.normalizeDevice(row.deviceType);
+      yield [targets, {
+        bucket: options.deviceTable[device] ?? device,
+        imps,
+        clicks: parseNumber(row.clicks),
+        viewable: Number.isFinite(row.viewableImpressions) ? row.viewableImpressions : null,
+        date: options.perDay && !isIoLevelDate(row.date) ? parseDate(row.date, `${DEVICE_CSV}:${row.lineNo}`) : null
+      }];
+    }
+  },
+
+  // devices: Map<bucket, sums>; days: Map<date, Map<bucket, sums>> (--per-day)
+  entryBytes: 176,
+  init: () => ({ devices: new Map(), days: new Map() }),
+
+  add(state, r) {
+    let created = state.devices.has(r.bucket) ? 0 : 1;
+    addDeviceRow(state.devices, r.bucket, r.imps, r.clicks, r.viewable);
+    if (r.date) {
+      if (!state.days.has(r.date)) state.days.set(r.date, new Map());
+      const day = state.days.get(r.date);
+      if (!day.has(r.bucket)) created += 1;
+      addDeviceRow(day, r.bucket, r.imps, r.clicks, r.viewable);
+    }
+    return created;
+  },
+
+  finish(state, ctx) {
+    const devicesByDate = new Map();
+    for (const [date, dayMap] of state.days.entries()) devicesByDate.set(date, deviceBreakdown(dayMap, ctx.options));
+    return { byDevices: deviceBreakdown(state.devices, ctx.options), devicesByDate };
+  }
+};
+
+// --- DEMO (gender.deaggregated.jsonl)
+export function emptyDemoSums() {
+  return {
+    genders: { male: 0, female: 0, other: 0, unknown: 0 },
+    ages: Object.fromEntries([...REPORTED_AGE_BINS, UNKNOWN_AGE].map(bin => [bin, 0]))
+  };
+}
+
+// Genders over (male + female), ages over the tracked bins (config.ages.edges); 4 decimals.
+// unknownShares adds gender_other / gender_unknown / identifiedShare over all genders and
+// age_unknown / ageIdentifiedShare over the tracked bins + unknown.
+export function demoPercentages({ genders, ages }, { unknownShares = false } = {}) {
+  const { male: m, female: f } = genders;
+  const genderDen = m + f;
+  const ageDen = REPORTED_AGE_BINS.reduce((sum, bin) => sum + ages[bin], 0);
+
+  const demo = {
+    gender_male: genderDen > 0 ? pct4(m, genderDen) : 0,
+    gender_female: genderDen > 0 ? pct4(f, genderDen) : 0
+  };
+  if (unknownShares) {
+    const all = genderDen + genders.other + genders.unknown;
+    demo.gender_other = all > 0 ? pct4(genders.other, all) : 0;
+    demo.gender_unknown = all > 0 ? pct4(genders.unknown, all) : 0;
+    demo.identifiedShare = all > 0 ? pct4(genderDen, all) : 0;
+  }
+  for (const bin of REPORTED_AGE_BINS) demo[demoAgeField(bin)] = ageDen > 0 ? pct4(ages[bin], ageDen) : 0;
+  if (unknownShares) {
+    const all = ageDen + ages[UNKNOWN_AGE];
+    demo.age_unknown = all > 0 ? pct4(ages[UNKNOWN_AGE], all) : 0;
+    demo.ageIdentifiedShare = all > 0 ? pct4(ageDen, all) : 0;
+  }
+  return demo;
+}
+
+function addDemoRow(cell, r) {
+  cell.genders[r.gender] += r.imps;
+  if (r.binned || r.bin === UNKNOWN_AGE) cell.ages[r.bin] += r.imps;
+}
+
+const demo = {
+  file: DEMO_JSONL,
+
+  async *rows(ctx) {
+    const { provider, parseDate, options } = ctx;
+    const rl = readline.createInterface({ input: fs.createReadStream(DEMO_JSONL, ENCODING), crlfDelay: Infinity });
+    // Row-level problems, then per-share exclusions (a row can count for ages but not genders)
+    const q = ctx.quality.source('gender.deaggregated.jsonl');
+    const qGender = ctx.quality.source('gender.deaggregated.jsonl#gender');
+    const qAge = ctx.quality.source('gender.deaggregated.jsonl#age');
+
+    let lineNo = 0;
+    for await (const line of rl) {
+      lineNo += 1;
+      if (!line.trim()) continue;
+      let obj;
+      try { obj = JSON.parse(line); } catch { q.skip('invalid_json', lineNo); continue; }
+
+      const io = obj.insertionOrder ?? obj.insertion_order ?? '';
+      if (!ctx.selected(io, obj.date, `${DEMO_JSONL}:${lineNo}`)) continue;
+      const targets = ctx.targetsOf(io);
+      const imps = parseNumber(obj.impressions);
+      if (!targets.length) { q.skip('missing_insertion_order', lineNo, imps); continue; }
+      if (!imps) { q.skip('zero_or_non_numeric_impressions', lineNo); continue; }
+      q.keep(imps);
+
+      // gender (infer:ageGender writes male/female/other/unknown; older files keep the raw label)
+      const gender = provider.normalizeGender(obj.gender);
+      if (gender === 'male' || gender === 'female') qGender.keep(imps);
+      else qGender.note(gender === 'other' ? 'gender_other' : 'gender_unknown', lineNo, imps);
+
+      // age bins we track
+      const a = String(obj.age || '').trim();
+      const bin = a ? normalizeBinLabel(a) : UNKNOWN_AGE;
+      const binned = REPORTED_AGE_BINS.includes(bin);
+      if (obj.ageStrategy) ctx.ageStrategies.add(obj.ageStrategy);
+      if (binned) qAge.keep(imps);
+      else qAge.note(bin === UNKNOWN_AGE ? 'age_unknown' : 'age_outside_reported_bins', lineNo, imps);
+
+      const date = options.perDay && obj.date ? parseDate(obj.date, `${DEMO_JSONL}:${lineNo}`) : null;
+      yield [targets, { gender, bin, binned, imps, date }];
+    }
+  },
+
+  // sums: { genders: { male, female, other, unknown }, ages: { [bin]: imps, unknown } };
+  // days: Map<date, same shape> (--per-day)
+  entryBytes: 288,
+  init: () => ({ sums: emptyDemoSums(), days: new Map() }),
+
+  add(state, r) {
+    addDemoRow(state.sums, r);
+    if (!r.date) return 0;
+    const created = state.days.has(r.date) ? 0 : 1;
+    if (created) state.days.set(r.date, emptyDemoSums());
+    addDemoRow(state.days.get(r.date), r);
+    return created;
+  },
+
+  // percentages with corrected denominators
+  finish(state, ctx) {
+    const demoByDate = new Map();
+    for (const [date, cell] of state.days.entries()) demoByDate.set(date, demoPercentages(cell, ctx.options));
+    return { demo: demoPercentages(state.sums, ctx.options), demoByDate };
+  }
+};
+
+// --- UNIQUE.CSV (perDay + totals)
+// IO-level rows (isIoLevelDate): their Unique Impression is the de-duplicated reach of
+// the whole IO. They are not days.
+
+// Reach for the totals block. Daily uniques cannot be summed (the same user shows up on
+// several days), so the sum is only an upper bound; prefer the IO-level figure.
+//   io_total                     - single IO with an IO-level unique row (exact)
+//   sum_of_io_totals_upper_bound - several IOs, each with an IO-level row (overlap not removed)
+//   sum_of_daily_upper_bound     - no IO-level row for some IO: Σ daily uniques
+function totalReach(t) {
+  const ios = [...t.ioUniques.keys()];
+  const allReported = t.ios.size > 0 && [...t.ios].every(io => t.ioUniques.has(io));
+  if (allReported) {
+    let sum = 0;
+    for (const io of ios) sum += t.ioUniques.get(io);
+    return { uniques: sum, basis: ios.length === 1 ? 'io_total' : 'sum_of_io_totals_upper_bound' };
+  }
+  return { uniques: t.dailyUniques, basis: 'sum_of_daily_upper_bound' };
+}
+
+function frequency(impressions, uniques) {
+  return uniques > 0 ? round4(impressions / uniques) : 0;
+}
+
+function engagementsOf(row, terms) {
+  let sum = 0;
+  for (const { column, weight } of terms) sum += weight * parseNumber(row[column]);
+  return sum;
+}
+
+function dayObject(d) {
+  return {
+    analytic_engagements: d.engagements,
+    analytic_engagementsPercent: pct4(d.engagements, d.impressions),
+    analytic_date: d.date,
+    analytic_viewability: pct4(d.viewable, d.impressions),
+    analytic_uniqueUsers: d.uniques,
+    analytic_frequency: frequency(d.impressions, d.uniques),
+    analytic_views: d.v100,
+    analytic_views25: d.v25,
+    analytic_views50: d.v50,
+    analytic_views75: d.v75,
+    analytic_vtr: pct4(d.v100, d.starts),
+    analytic_ctr: pct4(d.clicks, d.impressions),
+    analytic_impressions: d.impressions,
+    analytic_clicks: d.clicks
+  };
+}
+
+const unique = {
+  file: UNIQUE_CSV,
+
+  async *rows(ctx) {
+    const { provider, parseDate, options } = ctx;
+    const schema = withExtraColumns(SCHEMAS.unique, options.engagementTerms.map(t => t.column));
+    const q = ctx.quality.source('unique.csv');
+
+    for await (const row of readCsvRows(UNIQUE_CSV, { schema, provider })) {
+      if (!ctx.selected(row.insertionOrder, row.date, `${UNIQUE_CSV}:${row.lineNo}`)) continue;
+      const targets = ctx.targetsOf(row.insertionOrder);
+      if (!targets.length) { q.skip('missing_insertion_order', row.lineNo, parseNumber(row.impressions)); continue; }
+
+      const io = row.insertionOrder;
+      const uniques = parseNumber(row.uniqueImpressions);
+      if (isIoLevelDate(row.date)) {
+        q.keep(0); // IO-level reach row, not a day
+        yield [targets, { ioLevel: true, io, uniques }];
+        continue;
+      }
+
+      const day = {
+        date: parseDate(row.date, `${UNIQUE_CSV}:${row.lineNo}`),
+        impressions: parseNumber(row.impressions),
+        clicks: parseNumber(row.clicks),
+        viewable: parseNumber(row.viewableImpressions),
+        starts: parseNumber(row.videoStarts),
+        v25: parseNumber(row.videoViews25),
+        v50: parseNumber(row.videoViews50),
+        v75: parseNumber(row.videoViews75),
+        v100: parseNumber(row.videoViews100),
+        engagements: engagementsOf(row, options.engagementTerms),
+        uniques
+      };
+      q.keep(day.impressions);
+      yield [targets, { ioLevel: false, io, lineNo: row.lineNo, day }];
+    }
+  },
+
+  // days: Map(row lineNo | date -> day sums); totals: sums + reach bookkeeping
+  entryBytes: 352,
+  init: (key) => ({
+    rollup: key.startsWith(ROLLUP_PREFIX),
+    days: new Map(),
+    totals: {
+      impressions: 0, clicks: 0, viewable: 0, starts: 0, v25: 0, v50: 0, v75: 0, v100: 0, engagements: 0,
+      dailyUniques: 0, ios: new Set(), ioUniques: new Map()
+    }
+  }),
+
+  add(state, r) {
+    const tot = state.totals;
+    if (r.ioLevel) {
+      const created = tot.ioUniques.has(r.io) ? 0 : 1;
+      tot.ioUniques.set(r.io, (tot.ioUniques.get(r.io) ?? 0) + r.uniques);
+      return created;
+    }
+    let created = tot.ios.has(r.io) ? 0 : 1;
+    tot.ios.add(r.io);
+
+    // Products keep one perDay entry per unique.csv row; roll-ups merge their IOs per date.
+    const { day } = r;
+    const dayKey = state.rollup ? day.date : r.lineNo;
+    const cur = state.days.get(dayKey);
+    if (cur) {
+      for (const k of Object.keys(cur)) if (k !== 'date') cur[k] += day[k];
+    } else {
+      state.days.set(dayKey, { ...day });
+      created += 1;
+    }
+
+    tot.impressions += day.impressions;
+    tot.clicks += day.clicks;
+    tot.viewable += day.viewable;
+    tot.starts += day.starts;
+    tot.v25 += day.v25;
+    tot.v50 += day.v50;
+    tot.v75 += day.v75;
+    tot.v100 += day.v100;
+    tot.engagements += day.engagements;
+    tot.dailyUniques += day.uniques;
+    return created;
+  },
+
+  finish(state) {
+    const perDay = [...state.days.values()].map(dayObject);
+    // sort by date asc for stability
+    perDay.sort((a, b) => String(a.analytic_date).localeCompare(String(b.analytic_date)));
+
+    const t = state.totals;
+    const reach = totalReach(t);
+    const totals = {
+      analytic_engagements: t.engagements,
+      analytic_engagementsPercent: pct4(t.engagements, t.impressions),
+      analytic_viewability: pct4(t.viewable, t.impressions),
+      analytic_uniqueUsers: reach.uniques,
+      analytic_uniqueUsersBasis: reach.basis,
+      analytic_frequency: frequency(t.impressions, reach.uniques),
+      analytic_views: t.v100,
+      analytic_views25: t.v25,
+      analytic_views50: t.v50,
+      analytic_views75: t.v75,
+      analytic_vtr: pct4(t.v100, t.starts),
+      analytic_ctr: pct4(t.clicks, t.impressions),
+      analytic_impressions: t.impressions,
+      analytic_clicks: t.clicks
+    };
+    return { perDay, totals };
+  }
+};
+
+// --- CATEGORIES.CSV (keyProperties)
+// viewability stays Σ viewable impressions; the rates are 0–100 with 4 decimals.
+function keyProperty(property, v) {
+  return {
+    placement_domain: property.name,
+    type: property.type,
+    ...(property.appId ? { appId: property.appId } : {}),
+    impressions: v.impressions,
+    clicks: v.clicks,
+    viewability: v.viewable,
+    ctr: pct4(v.clicks, v.impressions),
+    viewabilityRate: pct4(v.viewable, v.impressions)
+  };
+}
+
+const keyProperties = {
+  file: CATEGORIES_CSV,
+
+  async *rows(ctx) {
+    const normalizeProperty = createPropertyNormalizer();
+    const q = ctx.quality.source('categories.csv');
+
+    for await (const row of readCsvRows(CATEGORIES_CSV, { schema: SCHEMAS.categories, provider: ctx.provider })) {
+      if (!ctx.selected(row.insertionOrder, row.date, `${CATEGORIES_CSV}:${row.lineNo}`)) continue;
+      const targets = ctx.targetsOf(row.insertionOrder);
+      const imps = parseNumber(row.impressions);
+      if (!targets.length) { q.skip('missing_insertion_order', row.lineNo, imps); continue; }
+
+      const property = normalizeProperty(row.appUrl);
+      if (!property) { q.skip('missing_app_url', row.lineNo, imps); continue; }
+      q.keep(imps);
+
+      yield [targets, { property, imps, clicks: parseNumber(row.clicks), viewable: parseNumber(row.viewableImpressions) }];
+    }
+  },
+
+  // Map(property key -> { property, impressions, clicks, viewable })
+  entryBytes: 320,
+  init: () => new Map(),
+
+  add(props, r) {
+    const current = props.get(r.property.key) ?? { property: r.property, impressions: 0, clicks: 0, viewable: 0 };
+    const created = props.has(r.property.key) ? 0 : 1;
+    current.impressions += r.imps;
+    current.clicks += r.clicks;
+    current.viewable += r.viewable;
+    props.set(r.property.key, current);
+    return created;
+  },
+
+  finish(props, ctx) {
+    const topN = ctx.options.topProperties; // 0 = no limit
+    const sorted = [...props.values()].sort((a, b) =>
+      b.impressions - a.impressions || a.property.name.localeCompare(b.property.name));
+    const top = topN > 0 ? sorted.slice(0, topN) : sorted;
+    const list = top.map(v => keyProperty(v.property, v));
+
+    const rest = sorted.slice(top.length);
+    if (rest.length) {
+      const other = { impressions: 0, clicks: 0, viewable: 0 };
+      for (const v of rest) {
+        other.impressions += v.impressions;
+        other.clicks += v.clicks;
+        other.viewable += v.viewable;
+      }
+      list.push({ ...keyProperty({ type: 'other', name: 'Other' }, other), properties: rest.length });
+    }
+    return { keyProperties: list };
+  }
+};
+
+// --- IAB SCORED (campaign_delivery + campaign_interactions + audience_distribution)
+// IAB tier level of the id, when categoryscored.jsonl carries it (infer:iabScoring --depth).
+function tierField(v) {
+  return v.tier != null ? { tier: v.tier } : {};
+}
+
+// Per-date shares of `field` ('val' = impression score, 'clk' = click score).
+function dailyShares(byDate, field) {
+  const out = [];
+  for (const [date, catMap] of byDate.entries()) {
+    let dayTotal = 0;
+    for (const v of catMap.values()) dayTotal += v[field];
+    if (dayTotal <= 0) continue;
+    for (const [id, v] of catMap.entries()) {
+      if (!(v[field] > 0)) continue;
+      out.push({ id, date, name: v.name, ...tierField(v), value: Math.round(v[field]), percent: pct4(v[field], dayTotal) });
+    }
+  }
+  // Sort by date asc for stability
+  out.sort((a, b) => String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id)));
+  return out;
+}
+
+const iabScored = {
+  file: IAB_SCORED_JSONL,
+
+  async *rows(ctx) {
+    const rl = readline.createInterface({ input: fs.createReadStream(IAB_SCORED_JSONL, ENCODING), crlfDelay: Infinity });
+    // impressions here are the impression-weighted IAB score
+    const q = ctx.quality.source('categoryscored.jsonl');
+
+    let lineNo = 0;
+    for await (const line of rl) {
+      lineNo += 1;
+      if (!line.trim()) continue;
+      let obj;
+      try { obj = JSON.parse(line); } catch { q.skip('invalid_json', lineNo); continue; }
+      const io = obj.insertionOrder ?? obj.insertion_order ?? '';
+      if (!ctx.selected(io, obj.date, `${IAB_SCORED_JSONL}:${lineNo}`)) continue;
+      const targets = ctx.targetsOf(io);
+      if (!targets.length) { q.skip('missing_insertion_order', lineNo, parseNumber(obj.iabscore)); continue; }
+
+      const iabId = String(obj.iabId ?? obj.iab_id ?? '');
+      const name = String(obj.iabcategoryName ?? obj.name ?? '');
+      const val = parseNumber(obj.iabscore);
+      const clk = parseNumber(obj.iabclickscore);
+      const tier = Number.isInteger(obj.iabTier) ? obj.iabTier : null;
+      if (!obj.date || !iabId) { q.skip('missing_date_or_iab_id', lineNo, val); continue; }
+      const date = ctx.parseDate(obj.date, `${IAB_SCORED_JSONL}:${lineNo}`);
+      if (!val && !clk) { q.skip('zero_score', lineNo); continue; }
+      q.keep(val);
+
+      yield [targets, { iabId, name, val, clk, tier, date }];
+    }
+  },
+
+  // daily: Map(date => Map(iabId => { name, tier, val, clk })); totals: Map(iabId => { name, tier, val })
+  entryBytes: 176,
+  init: () => ({ daily: new Map(), totals: new Map() }),
+
+  add(state, r) {
+    // daily
+    const catMap = state.daily.get(r.date) ?? new Map();
+    let created = catMap.has(r.iabId) ? 0 : 1;
+    const cur = catMap.get(r.iabId) ?? { name: r.name, tier: r.tier, val: 0, clk: 0 };
+    cur.val += r.val;
+    cur.clk += r.clk;
+    // prefer latest name if varies
+    cur.name = r.name || cur.name;
+    catMap.set(r.iabId, cur);
+    state.daily.set(r.date, catMap);
+
+    // totals
+    if (!state.totals.has(r.iabId)) created += 1;
+    const curTot = state.totals.get(r.iabId) ?? { name: r.name, tier: r.tier, val: 0 };
+    curTot.val += r.val;
+    curTot.name = r.name || curTot.name;
+    state.totals.set(r.iabId, curTot);
+    return created;
+  },
+
+  finish(state) {
+    let grand = 0;
+    for (const v of state.totals.values()) grand += v.val;
+    const audience = [];
+    if (grand > 0) {
+      for (const [id, v] of state.totals.entries()) {
+        if (!(v.val > 0)) continue;
+        audience.push({ id, name: v.name, ...tierField(v), value: Math.round(v.val), percent: pct4(v.val, grand) });
+      }
+    }
+    // sort by value desc then name
+    audience.sort((a, b) => (b.value - a.value) || String(a.name).localeCompare(String(b.name)));
+    return {
+      contentTaxonomy: {
+        audience_distribution: audience,
+        campaign_delivery: dailyShares(state.daily, 'val'),
+        campaign_interactions: dailyShares(state.daily, 'clk')
+      }
+    };
+  }
+};
+
+// Source name -> reducer, in the order the vision has always been assembled
+const SOURCE_READERS = {
+  'device.csv': devices,
+  'gender.deaggregated.jsonl': demo,
+  'unique.csv': unique,
+  'categories.csv': keyProperties,
+  'categoryscored.jsonl': iabScored
+};
+export const SOURCES = Object.keys(SOURCE_READERS);
+
+export async function ingestSource(name, options) {
+  const reader = SOURCE_READERS[name];
+  const ctx = createContext(options);
+  const store = createPartitionStore({
+    init: reader.init,
+    add: reader.add,
+    maxBytes: options.maxBytes ?? 0,
+    dir: options.spillDir ? path.join(options.spillDir, name) : null,
+    entryBytes: reader.entryBytes
+  });
+
+  for await (const [targets, record] of reader.rows(ctx)) {
+    for (const key of targets) store.add(key, record);
+  }
+  ctx.parseDate.finish();
+
+  let fragments = null;
+  let fragmentsFile = null;
+  let fragmentIndex = null;
+  if (options.spillDir) {
+    fragmentsFile = path.join(options.spillDir, `${name}.fragments`);
+    fragmentIndex = new Map();
+    const fd = fs.openSync(fragmentsFile, 'w');
+    try {
+      let offset = 0;
+      for await (const [key, state] of store.drain()) {
+        const record = frame(reader.finish(state, ctx));
+        fs.writeSync(fd, record);
+        fragmentIndex.set(key, [offset, record.length]);
+        offset += record.length;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  } else {
+    fragments = new Map();
+    for await (const [key, state] of store.drain()) fragments.set(key, reader.finish(state, ctx));
+  }
+
+  return {
+    source: name,
+    fragments,
+    fragmentsFile,
+    fragmentIndex,
+    quality: ctx.quality.snapshot(),
+    targetIos: ctx.targetIos,
+    rollups: ctx.rollups,
+    ageStrategies: ctx.ageStrategies,
+    spill: store.stats()
+  };
+}
+
+function ingestInWorker(name, options, workers) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { source: name, options } });
+    workers.push(worker);
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Ingest of ${name} stopped with exit code ${code}`));
+    });
+  });
+}
+
+// Targets in first-seen order across `results`, each with its fragments in results order.
+// Written fragments are read when their target comes up, so only the current target's are
+// held (plus whatever the caller keeps).
+export function* fragmentsByTarget(results) {
+  const keys = new Set();
+  for (const r of results) for (const key of (r.fragments ?? r.fragmentIndex).keys()) keys.add(key);
+  const fds = results.map(r => (r.fragmentsFile ? fs.openSync(r.fragmentsFile, 'r') : null));
+  try {
+    for (const key of keys) {
+      const fragments = [];
+      results.forEach((r, i) => {
+        if (r.fragments) {
+          if (r.fragments.has(key)) fragments.push(r.fragments.get(key));
+          return;
+        }
+        const at = r.fragmentIndex.get(key);
+        if (at) fragments.push(readFrameAt(fds[i], ...at));
+      });
+      yield [key, fragments];
+    }
+  } finally {
+    for (const fd of fds) if (fd != null) fs.closeSync(fd);
+  }
+}
+
+// Every source whose file exists, concurrently in worker threads (parallel) or one after
+// another here. The first failing source stops the others.
+// `options.maxBytes` is the budget of all sources together. One after another, each source
+// has it to itself. In parallel the stores grow at once and how big each source is only shows
+// once it is read, so each gets an even share: the sum stays under the budget, at the cost of
+// spilling a large source earlier than the whole budget would need.
+export async function ingestSources(options, { parallel = true } = {}) {
+  const names = SOURCES.filter(name => fileExistsSync(SOURCE_READERS[name].file));
+  if (!parallel) {
+    const results = [];
+    for (const name of names) results.push(await ingestSource(name, options));
+    return results;
+  }
+  const share = { ...options, maxBytes: options.maxBytes > 0 ? Math.floor(options.maxBytes / names.length) : 0 };
+  const workers = [];
+  try {
+    return await Promise.all(names.map(name => ingestInWorker(name, share, workers)));
+  } catch (err) {
+    await Promise.all(workers.map(w => w.terminate()));
+    throw err;
+  }
+}
+
+// Worker entry (ingestInWorker)
+if (!isMainThread && workerData?.source) {
+  parentPort.postMessage(await ingestSource(workerData.source, workerData.options));
+}